@@ -1,35 +1,51 @@
 // app.js
-const fs = require('fs');
-const path = require('path');
-const { from } = require('rxjs');
+const { from, of } = require('rxjs');
+const { switchMap } = require('rxjs/operators');
 const Scheduler = require('./core/scheduler');
+const AdminServer = require('./core/adminServer');
+const ConfigLoader = require('./core/configLoader');
 const logger = require('./core/logger');
 
+const configLoader = new ConfigLoader();
+
 // --- Carga de configuración ---
 const loadConfig = () => {
   try {
-    const configPath = path.join(__dirname, 'config', 'sources.json');
-    const rawData = fs.readFileSync(configPath, 'utf-8');
-    const config = JSON.parse(rawData);
-
-    if (!config.sources || !Array.isArray(config.sources) || config.sources.length === 0) {
-      throw new Error('No se encontraron fuentes válidas en config/sources.json');
-    }
-
-    return config;
+    return configLoader.load();
   } catch (error) {
     logger.error(`Error al cargar configuración: ${error.message}`);
     process.exit(1);
   }
 };
 
+// --- Recarga en caliente de las fuentes ---
+const reloadConfig = (scheduler, trigger) => {
+  logger.info(`Recargando configuración (${trigger})...`);
+
+  let config;
+  try {
+    config = configLoader.load();
+  } catch (error) {
+    logger.error(`Configuración inválida, se mantiene la actual: ${error.message}`);
+    return;
+  }
+
+  // Solo se recargan las fuentes; las secciones globales requieren reinicio
+  // Los errores ya se registran en Scheduler.reload()
+  scheduler.reload(config.sources).subscribe({ error: () => {} });
+};
+
 // --- Manejo de cierre controlado ---
-const handleExit = (scheduler, signal, subscription) => {
+const handleExit = (scheduler, adminServer, signal, subscription) => {
   logger.info(`Recibida señal ${signal}. Cerrando el conector...`);
   if (subscription) {
     subscription.unsubscribe();
   }
-  scheduler.stop().subscribe({
+  configLoader.unwatch();
+  const stopAdmin$ = adminServer ? adminServer.stop() : of(undefined);
+  stopAdmin$.pipe(
+    switchMap(() => scheduler.stop())
+  ).subscribe({
     complete: () => process.exit(0),
     error: () => process.exit(1)
   });
@@ -38,11 +54,22 @@ const handleExit = (scheduler, signal, subscription) => {
 // --- Función principal ---
 const main = () => {
   const config = loadConfig();
-  const scheduler = new Scheduler(config.sources);
+  const scheduler = new Scheduler(config.sources, {
+    checkpoint: config.checkpoint,
+    deadLetter: config.deadLetter,
+    outbox: config.outbox,
+    changeDetection: config.changeDetection,
+    sinks: config.sinks
+  });
+  const adminServer = config.admin && config.admin.enabled
+    ? new AdminServer(scheduler, config.admin)
+    : null;
 
   logger.info(`🔌 Iniciando Connector Service con ${config.sources.length} fuentes activas...`);
 
-  const subscription = scheduler.start().subscribe({
+  const subscription = scheduler.start().pipe(
+    switchMap(() => (adminServer ? adminServer.start() : of(undefined)))
+  ).subscribe({
     next: () => logger.info('✅ Servicio de conectores en ejecución.'),
     error: err => {
       logger.error(`❌ Error crítico en la inicialización: ${err.message}`);
@@ -50,8 +77,13 @@ const main = () => {
     },
   });
 
-  process.on('SIGINT', () => handleExit(scheduler, 'SIGINT', subscription));
-  process.on('SIGTERM', () => handleExit(scheduler, 'SIGTERM', subscription));
+  if (config.reload && config.reload.watch) {
+    configLoader.watch(() => reloadConfig(scheduler, 'cambio en archivo'), config.reload.debounceMs);
+  }
+
+  process.on('SIGHUP', () => reloadConfig(scheduler, 'SIGHUP'));
+  process.on('SIGINT', () => handleExit(scheduler, adminServer, 'SIGINT', subscription));
+  process.on('SIGTERM', () => handleExit(scheduler, adminServer, 'SIGTERM', subscription));
 };
 
 main();
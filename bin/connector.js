@@ -0,0 +1,163 @@
+#!/usr/bin/env node
+// bin/connector.js
+// CLI del conector para ejecuciones puntuales, sin el scheduler permanente.
+//
+// Uso:
+//   connector list
+//   connector run <fuente> [--dry-run] [--output <archivo>]
+//
+// `run` ejecuta la fuente una vez y publica en Kafka (sin outbox). Con
+// --dry-run solo extrae y transforma: los mensajes, con el formato que
+// recibiría Kafka (key, headers, value), se escriben como NDJSON en stdout o
+// en --output. El dry-run no lee ni confirma checkpoints, no aplica la
+// detección de cambios y no envía nada a la dead letter queue.
+//
+// Códigos de salida: 0 éxito, 1 la ejecución falló, 2 uso o configuración
+// inválidos, 3 no se pudo conectar a Kafka o a los servicios auxiliares.
+
+// Los logs van a stderr para no mezclarse con la salida del comando
+process.env.LOG_TO_STDERR = 'true';
+
+const fs = require('fs');
+const { lastValueFrom } = require('rxjs');
+const ConfigLoader = require('../core/configLoader');
+const ConfigValidator = require('../core/configValidator');
+const StrategyFactory = require('../core/strategyFactory');
+const KafkaPublisher = require('../core/kafkaPublisher');
+const DryRunPublisher = require('../core/dryRunPublisher');
+const Scheduler = require('../core/scheduler');
+const secretResolver = require('../utils/secretResolver');
+const logger = require('../core/logger');
+
+const EXIT = {
+  OK: 0,
+  FAILED: 1,
+  USAGE: 2,
+  UNAVAILABLE: 3
+};
+
+const USAGE = `Uso:
+  connector list
+  connector run <fuente> [--dry-run] [--output <archivo>]`;
+
+class UsageError extends Error {}
+
+const strategyFactory = new StrategyFactory();
+const configLoader = new ConfigLoader(undefined, new ConfigValidator(strategyFactory));
+
+const parseArgs = argv => {
+  const options = { command: argv[0], positional: [], dryRun: false, output: null };
+  for (let i = 1; i < argv.length; i++) {
+    if (argv[i] === '--dry-run') {
+      options.dryRun = true;
+    } else if (argv[i] === '--output') {
+      options.output = argv[++i];
+    } else {
+      options.positional.push(argv[i]);
+    }
+  }
+  return options;
+};
+
+/**
+ * Carga la configuración resolviendo solo los secretos de la fuente pedida,
+ * para poder ejecutarla aunque falten los de otras fuentes
+ */
+const loadSourceConfig = name => {
+  const config = configLoader.load({ resolveSecrets: false });
+  const source = config.sources.find(item => item.name === name);
+
+  if (!source) {
+    throw new UsageError(`Fuente '${name}' no encontrada. Configuradas: ${config.sources.map(item => item.name).join(', ')}`);
+  }
+  return secretResolver.resolve({ ...config, sources: [source] }, `sources.json (${name})`);
+};
+
+const list = () => {
+  const config = configLoader.load({ resolveSecrets: false });
+
+  process.stdout.write(`Estrategias disponibles: ${strategyFactory.listAvailableStrategies().join(', ')}\n\n`);
+  process.stdout.write('Fuentes configuradas:\n');
+  config.sources.forEach(source => {
+    const plan = source.schedule ? `cron '${source.schedule}'` : `cada ${(source.interval || 60000) / 1000}s`;
+    const state = source.enabled === false ? 'deshabilitada' : 'habilitada';
+    process.stdout.write(`  ${source.name.padEnd(24)} ${source.type.padEnd(12)} ${state.padEnd(14)} ${plan}\n`);
+  });
+  return EXIT.OK;
+};
+
+const dryRun = async (config, output) => {
+  const stream = output ? fs.createWriteStream(output) : process.stdout;
+  const strategy = strategyFactory.createStrategy(config.sources[0]);
+  const publisher = new DryRunPublisher(new KafkaPublisher(), stream);
+
+  const result = await lastValueFrom(strategy.execute(publisher));
+  if (output) {
+    await new Promise(resolve => stream.end(resolve));
+  }
+
+  const summary = Object.entries(publisher.getSummary()).map(([topic, count]) => `${count} en ${topic}`).join(', ');
+  logger.info(`Dry-run de '${strategy.name}': ${summary || 'sin mensajes'}${output ? ` (escritos en ${output})` : ''}`);
+  return result.success ? EXIT.OK : EXIT.FAILED;
+};
+
+const run = async options => {
+  const [name] = options.positional;
+  if (!name) {
+    throw new UsageError('Falta el nombre de la fuente');
+  }
+
+  const config = loadSourceConfig(name);
+  if (options.dryRun) {
+    return dryRun(config, options.output);
+  }
+
+  // Sin outbox: el código de salida refleja si los mensajes llegaron a Kafka
+  const scheduler = new Scheduler(config.sources, {
+    checkpoint: config.checkpoint,
+    deadLetter: config.deadLetter,
+    changeDetection: config.changeDetection,
+    sinks: config.sinks
+  });
+
+  let result;
+  try {
+    result = await lastValueFrom(scheduler.runOnce(name));
+  } catch (error) {
+    logger.error(`No se pudo ejecutar '${name}': ${error.message}`);
+    return EXIT.UNAVAILABLE;
+  }
+
+  if (result.success) {
+    logger.info(`'${name}': ${result.recordsProcessed} registros publicados en ${result.duration}ms`);
+    return EXIT.OK;
+  }
+  return EXIT.FAILED;
+};
+
+const main = async () => {
+  const options = parseArgs(process.argv.slice(2));
+
+  switch (options.command) {
+    case 'list':
+      return list();
+    case 'run':
+      return run(options);
+    default:
+      throw new UsageError(options.command ? `Comando desconocido: ${options.command}` : 'Falta el comando');
+  }
+};
+
+// Se espera a que stdout termine de escribirse antes de salir (por ejemplo, en un pipe)
+const exit = code => process.stdout.write('', () => process.exit(code));
+
+main()
+  .then(exit)
+  .catch(error => {
+    if (error instanceof UsageError) {
+      process.stderr.write(`${error.message}\n\n${USAGE}\n`);
+    } else {
+      logger.error(error.message);
+    }
+    exit(EXIT.USAGE);
+  });
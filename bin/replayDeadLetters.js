@@ -0,0 +1,63 @@
+#!/usr/bin/env node
+// bin/replayDeadLetters.js
+// Re-publica las entradas de la dead letter queue en sus tópicos originales,
+// a través de los sinks configurados para su fuente.
+//
+// Uso: npm run dlq:replay -- [--source <nombre>]
+const { of, lastValueFrom } = require('rxjs');
+const { switchMap, tap } = require('rxjs/operators');
+const ConfigLoader = require('../core/configLoader');
+const KafkaPublisher = require('../core/kafkaPublisher');
+const StrategyFactory = require('../core/strategyFactory');
+const DeadLetterQueue = require('../core/deadLetterQueue');
+const SinkRouter = require('../core/sinkRouter');
+const logger = require('../core/logger');
+
+const parseArgs = argv => {
+  const options = {};
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--source') {
+      options.source = argv[++i];
+    }
+  }
+  return options;
+};
+
+const main = async () => {
+  const options = parseArgs(process.argv.slice(2));
+  const config = new ConfigLoader().load();
+
+  if (!config.deadLetter) {
+    throw new Error('No hay sección "deadLetter" en la configuración');
+  }
+
+  const kafkaPublisher = new KafkaPublisher();
+  const deadLetterQueue = new DeadLetterQueue(config.deadLetter, kafkaPublisher);
+  const sinkRouter = new SinkRouter(config.sinks, { kafkaPublisher });
+  sinkRouter.setSources(config.sources);
+
+  // Las entradas de la etapa 'transform' se re-transforman con la estrategia de su fuente
+  const strategies = new Map(
+    new StrategyFactory().createStrategies(config.sources).map(strategy => [strategy.name, strategy])
+  );
+
+  // El sink de Kafka se conecta al publicar; aquí solo hace falta para leer la DLQ
+  const connect$ = deadLetterQueue.type === 'kafka' ? kafkaPublisher.connect() : of(undefined);
+
+  const summary = await lastValueFrom(connect$.pipe(
+    switchMap(() => deadLetterQueue.init()),
+    switchMap(() => sinkRouter.init()),
+    switchMap(() => deadLetterQueue.replay(sinkRouter, strategies, options)),
+    tap(result => logger.info(`Replay finalizado: ${result.replayed} re-publicadas, ${result.failed} fallidas, ${result.skipped} omitidas`)),
+    switchMap(result => sinkRouter.close().pipe(switchMap(() => kafkaPublisher.disconnect()), switchMap(() => of(result))))
+  ));
+
+  return summary.failed > 0 ? 1 : 0;
+};
+
+main()
+  .then(code => process.exit(code))
+  .catch(error => {
+    logger.error(`Error en el replay de dead letters: ${error.message}`);
+    process.exit(1);
+  });
@@ -0,0 +1,62 @@
+#!/usr/bin/env node
+// bin/validateConfig.js
+// Valida config/sources.json y config/kafka.json contra su schema sin iniciar
+// el conector. Sale con código 1 si hay errores (pensado para CI).
+//
+// Uso: npm run validate-config -- [--sources <ruta>] [--kafka <ruta>] [--resolve-secrets]
+//
+// Por defecto no se resuelven las referencias a secretos (`${env:X}`), que
+// suelen no estar disponibles en CI; con --resolve-secrets también se
+// verifica que se puedan resolver.
+const fs = require('fs');
+const path = require('path');
+const ConfigLoader = require('../core/configLoader');
+const ConfigValidator = require('../core/configValidator');
+const secretResolver = require('../utils/secretResolver');
+const logger = require('../core/logger');
+
+const parseArgs = argv => {
+  const options = {
+    sources: path.join(__dirname, '..', 'config', 'sources.json'),
+    kafka: path.join(__dirname, '..', 'config', 'kafka.json'),
+    resolveSecrets: false
+  };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--sources') {
+      options.sources = path.resolve(argv[++i]);
+    } else if (argv[i] === '--kafka') {
+      options.kafka = path.resolve(argv[++i]);
+    } else if (argv[i] === '--resolve-secrets') {
+      options.resolveSecrets = true;
+    }
+  }
+  return options;
+};
+
+const main = () => {
+  const options = parseArgs(process.argv.slice(2));
+  const validator = new ConfigValidator();
+  let failed = false;
+
+  const check = (file, validate) => {
+    try {
+      validate();
+      logger.info(`${file}: configuración válida`);
+    } catch (error) {
+      logger.error(`${file}: ${error.message}`);
+      failed = true;
+    }
+  };
+
+  check(options.sources, () => new ConfigLoader(options.sources, validator).load({ resolveSecrets: options.resolveSecrets }));
+
+  check(options.kafka, () => {
+    const parsed = JSON.parse(fs.readFileSync(options.kafka, 'utf-8'));
+    const config = options.resolveSecrets ? secretResolver.resolve(parsed, path.basename(options.kafka)) : parsed;
+    validator.assertValid(validator.validateKafka(config), path.basename(options.kafka));
+  });
+
+  return failed ? 1 : 0;
+};
+
+process.exit(main());
@@ -0,0 +1,326 @@
+// core/adminServer.js
+const http = require('http');
+const crypto = require('crypto');
+const logger = require('./logger');
+const errorHandler = require('../utils/errorHandler');
+const metrics = require('./metrics');
+const secretResolver = require('../utils/secretResolver');
+const { Observable, isObservable, of, throwError, lastValueFrom } = require('rxjs');
+
+/**
+ * Servidor HTTP embebido de administración
+ * Expone el estado del scheduler y permite operar las fuentes sin acceder al pod.
+ *
+ * Rutas:
+ * - GET  /status                 Estado del scheduler
+ * - GET  /sources/:name          Estado de una fuente (igual que BaseStrategy.getStatus())
+ * - POST /sources/:name/run      Ejecuta la fuente inmediatamente
+ * - POST /sources/:name/pause    Pausa las ejecuciones programadas
+ * - POST /sources/:name/resume   Reanuda las ejecuciones programadas
+ * - POST /sources/:name/enable   Habilita la fuente (también si fue auto-deshabilitada)
+ * - POST /sources/:name/disable  Deshabilita la fuente
+ * - GET  /metrics                Métricas de Prometheus (solo con ENABLE_PROMETHEUS=true)
+ * - POST /webhooks/:name         Eventos push de fuentes que los aceptan (ej: Chatwoot)
+ *
+ * Todas las rutas requieren el token en `Authorization: Bearer <token>`
+ * o en el header `X-Admin-Token`, salvo /metrics cuando `metricsAuth` es false
+ * y /webhooks, donde cada estrategia verifica la firma del evento.
+ */
+class AdminServer {
+  /**
+   * @param {Scheduler} scheduler - Scheduler a administrar
+   * @param {Object} config - Sección "admin" de sources.json
+   * @param {number} config.port - Puerto de escucha
+   * @param {string} config.host - Interfaz de escucha (por defecto 0.0.0.0)
+   * @param {string} config.token - Token de acceso (ADMIN_TOKEN tiene prioridad)
+   * @param {boolean} config.metricsAuth - Si /metrics requiere token (por defecto false)
+   * @param {number} config.maxBodyBytes - Tamaño máximo del cuerpo de las peticiones (por defecto 1 MB)
+   */
+  constructor(scheduler, config = {}) {
+    this.scheduler = scheduler;
+    this.port = config.port || 8080;
+    this.host = config.host || '0.0.0.0';
+    this.token = process.env.ADMIN_TOKEN || config.token || null;
+    this.server = null;
+    this.routes = [];
+    this.metricsAuth = config.metricsAuth === true;
+    this.maxBodyBytes = config.maxBodyBytes || 1024 * 1024;
+
+    this.registerDefaultRoutes();
+  }
+
+  /**
+   * Registra las rutas de administración del scheduler
+   * @private
+   */
+  registerDefaultRoutes() {
+    this.addRoute('GET', '/status', () => this.scheduler.getStatus());
+
+    this.addRoute('GET', '/sources/:name', ({ params }) => this.findStrategy(params.name).getStatus());
+
+    this.addRoute('POST', '/sources/:name/run', ({ params }) => {
+      const strategy = this.findStrategy(params.name);
+      try {
+        this.scheduler.assertSecretsResolved(strategy);
+      } catch (error) {
+        throw errorHandler.createHttpError(409, error.message);
+      }
+      return this.scheduler.executeManually(params.name);
+    });
+
+    const lifecycleActions = {
+      pause: name => this.scheduler.pauseStrategy(name),
+      resume: name => this.scheduler.resumeStrategy(name),
+      enable: name => this.scheduler.enableStrategy(name),
+      disable: name => this.scheduler.disableStrategy(name, 'Deshabilitada desde la API de administración')
+    };
+
+    Object.entries(lifecycleActions).forEach(([action, apply]) => {
+      this.addRoute('POST', `/sources/:name/${action}`, ({ params }) => {
+        const strategy = this.findStrategy(params.name);
+        try {
+          apply(params.name);
+        } catch (error) {
+          // Transición no permitida para el estado actual
+          throw errorHandler.createHttpError(409, error.message);
+        }
+        return strategy.getStatus();
+      });
+    });
+
+    this.addRoute('POST', '/webhooks/:name', ({ params, headers, body }) => {
+      const strategy = this.findStrategy(params.name);
+      if (!strategy.acceptsWebhooks()) {
+        throw errorHandler.createHttpError(404, `La fuente '${params.name}' no recibe webhooks`);
+      }
+      try {
+        return this.scheduler.handleWebhook(params.name, { headers, body });
+      } catch (error) {
+        // Fuente pausada o deshabilitada
+        throw errorHandler.createHttpError(409, error.message);
+      }
+    }, { auth: false });
+
+    if (metrics.enabled) {
+      this.addRoute('GET', '/metrics', () => metrics.render().then(raw => ({
+        headers: { 'Content-Type': metrics.contentType },
+        raw
+      })), { auth: this.metricsAuth });
+    }
+  }
+
+  /**
+   * Registra una ruta
+   * El handler recibe { params, query, body, headers } y puede devolver un valor,
+   * una Promise o un Observable. Para respuestas no JSON puede devolver
+   * { status, headers, raw }.
+   * @param {string} method - Método HTTP
+   * @param {string} pattern - Ruta con parámetros, ej: '/sources/:name'
+   * @param {Function} handler - Función que atiende la petición
+   * @param {Object} options
+   * @param {boolean} options.auth - Si requiere token (por defecto true)
+   */
+  addRoute(method, pattern, handler, options = {}) {
+    const keys = [];
+    const regex = new RegExp(`^${pattern.replace(/:(\w+)/g, (_, key) => {
+      keys.push(key);
+      return '([^/]+)';
+    })}/?$`);
+
+    this.routes.push({ method, regex, keys, handler, auth: options.auth !== false });
+  }
+
+  /**
+   * Obtiene una estrategia por nombre o lanza un error 404
+   * @param {string} name - Nombre de la fuente
+   * @returns {BaseStrategy}
+   * @private
+   */
+  findStrategy(name) {
+    const strategy = this.scheduler.strategies.find(s => s.name === name);
+    if (!strategy) {
+      throw errorHandler.createHttpError(404, `Fuente '${name}' no encontrada`);
+    }
+    return strategy;
+  }
+
+  /**
+   * Inicia el servidor
+   * @returns {Observable<void>}
+   */
+  start() {
+    if (!this.token) {
+      return throwError(() => new Error('El servidor de administración requiere un token (admin.token o ADMIN_TOKEN)'));
+    }
+
+    return new Observable(subscriber => {
+      this.server = http.createServer((req, res) => this.handleRequest(req, res));
+      this.server.once('error', error => subscriber.error(error));
+      this.server.listen(this.port, this.host, () => {
+        logger.info(`Servidor de administración escuchando en ${this.host}:${this.port}`);
+        subscriber.next();
+        subscriber.complete();
+      });
+    });
+  }
+
+  /**
+   * Detiene el servidor
+   * @returns {Observable<void>}
+   */
+  stop() {
+    if (!this.server) {
+      return of(undefined);
+    }
+
+    return new Observable(subscriber => {
+      this.server.close(() => {
+        this.server = null;
+        logger.info('Servidor de administración detenido');
+        subscriber.next();
+        subscriber.complete();
+      });
+      // Cierra conexiones keep-alive para no demorar el apagado
+      if (this.server.closeAllConnections) {
+        this.server.closeAllConnections();
+      }
+    });
+  }
+
+  /**
+   * Atiende una petición HTTP
+   * @param {http.IncomingMessage} req
+   * @param {http.ServerResponse} res
+   * @private
+   */
+  async handleRequest(req, res) {
+    const url = new URL(req.url, 'http://localhost');
+
+    try {
+      const match = this.matchRoute(req.method, url.pathname);
+
+      if (match.route.auth && !this.isAuthorized(req)) {
+        throw errorHandler.createHttpError(401, 'Token inválido o ausente');
+      }
+
+      const body = await this.readBody(req, this.maxBodyBytes);
+      const result = match.route.handler({
+        params: match.params,
+        query: Object.fromEntries(url.searchParams),
+        headers: req.headers,
+        body
+      });
+
+      const value = isObservable(result)
+        ? await lastValueFrom(result, { defaultValue: undefined })
+        : await result;
+
+      if (value && value.raw !== undefined) {
+        res.writeHead(value.status || 200, value.headers || {});
+        res.end(value.raw);
+        return;
+      }
+
+      this.sendJson(res, 200, value === undefined ? { ok: true } : value);
+    } catch (error) {
+      const status = error.statusCode || 500;
+      if (status >= 500) {
+        logger.error(`Admin API ${req.method} ${url.pathname}: ${error.message}`);
+      }
+      this.sendJson(res, status, { error: error.message });
+    }
+  }
+
+  /**
+   * Busca la ruta que coincide con el método y la ruta solicitados
+   * @returns {{route: Object, params: Object}}
+   * @private
+   */
+  matchRoute(method, pathname) {
+    let pathMatched = false;
+
+    for (const route of this.routes) {
+      const match = route.regex.exec(pathname);
+      if (!match) {
+        continue;
+      }
+      pathMatched = true;
+      if (route.method === method) {
+        const params = {};
+        route.keys.forEach((key, index) => {
+          try {
+            params[key] = decodeURIComponent(match[index + 1]);
+          } catch (error) {
+            throw errorHandler.createHttpError(400, `Parámetro '${key}' mal codificado en la ruta`);
+          }
+        });
+        return { route, params };
+      }
+    }
+
+    throw pathMatched
+      ? errorHandler.createHttpError(405, `Método ${method} no permitido`)
+      : errorHandler.createHttpError(404, `Ruta ${pathname} no encontrada`);
+  }
+
+  /**
+   * Valida el token de administración en tiempo constante
+   * @param {http.IncomingMessage} req
+   * @returns {boolean}
+   * @private
+   */
+  isAuthorized(req) {
+    const header = req.headers.authorization || '';
+    const provided = header.startsWith('Bearer ')
+      ? header.slice(7)
+      : req.headers['x-admin-token'] || '';
+
+    const expected = Buffer.from(this.token);
+    const actual = Buffer.from(String(provided));
+    return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+  }
+
+  /**
+   * Lee el cuerpo de la petición, con un tamaño máximo (413 si lo supera)
+   * @param {http.IncomingMessage} req
+   * @param {number} maxBytes - Tamaño máximo en bytes
+   * @returns {Promise<Buffer>}
+   * @private
+   */
+  readBody(req, maxBytes) {
+    return new Promise((resolve, reject) => {
+      const tooLarge = () => errorHandler.createHttpError(413, `El cuerpo supera el máximo de ${maxBytes} bytes`);
+
+      if (Number(req.headers['content-length']) > maxBytes) {
+        reject(tooLarge());
+        return;
+      }
+
+      const chunks = [];
+      let size = 0;
+      req.on('data', chunk => {
+        size += chunk.length;
+        if (size > maxBytes) {
+          // Se deja de acumular; el resto del cuerpo se descarta
+          req.removeAllListeners('data');
+          req.resume();
+          reject(tooLarge());
+          return;
+        }
+        chunks.push(chunk);
+      });
+      req.on('end', () => resolve(Buffer.concat(chunks)));
+      req.on('error', reject);
+    });
+  }
+
+  /**
+   * @private
+   */
+  sendJson(res, status, body) {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(secretResolver.redact(JSON.stringify(body)));
+  }
+}
+
+module.exports = AdminServer;
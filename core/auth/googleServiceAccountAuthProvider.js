@@ -0,0 +1,98 @@
+// core/auth/googleServiceAccountAuthProvider.js
+const fs = require('fs');
+const crypto = require('crypto');
+const { defer } = require('rxjs');
+const TokenAuthProvider = require('./tokenAuthProvider');
+const httpClient = require('../../utils/httpClient');
+
+const TOKEN_URI = 'https://oauth2.googleapis.com/token';
+
+/**
+ * Cuenta de servicio de Google: firma localmente un JWT (RS256) y lo canjea
+ * por un access token.
+ *
+ * Configuración:
+ * - keyFile | credentials: JSON de la cuenta de servicio (client_email, private_key)
+ * - subject: usuario a suplantar (delegación de dominio), opcional
+ * - scopes: scopes OAuth solicitados
+ */
+class GoogleServiceAccountAuthProvider extends TokenAuthProvider {
+  constructor(auth, options) {
+    super(auth, options);
+    this.credentials = null;
+  }
+
+  /**
+   * @returns {Observable<{access_token: string, expires_in: number}>}
+   */
+  requestToken() {
+    return defer(() => {
+      const credentials = this.loadCredentials();
+      const tokenUri = credentials.token_uri || TOKEN_URI;
+
+      const body = new URLSearchParams({
+        grant_type: 'urn:ietf:params:oauth:grant-type:jwt-bearer',
+        assertion: this.signJwt(credentials, tokenUri)
+      }).toString();
+
+      return httpClient.post(tokenUri, body, {
+        headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+        source: this.source
+      });
+    });
+  }
+
+  /**
+   * Genera el JWT firmado con RS256 según el flujo de cuentas de servicio
+   * @param {Object} credentials - { client_email, private_key }
+   * @param {string} audience - Endpoint de tokens
+   * @returns {string}
+   * @private
+   */
+  signJwt(credentials, audience) {
+    const now = Math.floor(Date.now() / 1000);
+    const encode = value => Buffer.from(JSON.stringify(value)).toString('base64url');
+
+    const header = { alg: 'RS256', typ: 'JWT' };
+    const claims = {
+      iss: credentials.client_email,
+      scope: (this.auth.scopes || []).join(' '),
+      aud: audience,
+      iat: now,
+      exp: now + 3600
+    };
+
+    // Delegación de dominio: actuar en nombre de un usuario
+    if (this.auth.subject) {
+      claims.sub = this.auth.subject;
+    }
+
+    const unsigned = `${encode(header)}.${encode(claims)}`;
+    const signature = crypto.createSign('RSA-SHA256').update(unsigned).sign(credentials.private_key, 'base64url');
+    return `${unsigned}.${signature}`;
+  }
+
+  /**
+   * Carga las credenciales de la cuenta de servicio (una sola vez)
+   * @returns {Object}
+   * @private
+   */
+  loadCredentials() {
+    if (this.credentials) {
+      return this.credentials;
+    }
+
+    const credentials = this.auth.keyFile
+      ? JSON.parse(fs.readFileSync(this.auth.keyFile, 'utf-8'))
+      : this.auth.credentials;
+
+    if (!credentials || !credentials.client_email || !credentials.private_key) {
+      throw new Error('Credenciales de cuenta de servicio inválidas: se requieren client_email y private_key (auth.keyFile o auth.credentials)');
+    }
+
+    this.credentials = credentials;
+    return credentials;
+  }
+}
+
+module.exports = GoogleServiceAccountAuthProvider;
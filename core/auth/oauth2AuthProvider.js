@@ -0,0 +1,165 @@
+// core/auth/oauth2AuthProvider.js
+const crypto = require('crypto');
+const { of, throwError } = require('rxjs');
+const { tap, map, switchMap, catchError } = require('rxjs/operators');
+const TokenAuthProvider = require('./tokenAuthProvider');
+const httpClient = require('../../utils/httpClient');
+const logger = require('../logger');
+const secretResolver = require('../../utils/secretResolver');
+
+const GRANT_TYPES = {
+  oauth2_client_credentials: 'client_credentials',
+  oauth2_refresh_token: 'refresh_token'
+};
+
+/**
+ * OAuth2 con los grants `client_credentials` y `refresh_token` (RFC 6749)
+ *
+ * Configuración:
+ * - tokenUrl: endpoint de tokens
+ * - clientId, clientSecret: credenciales del cliente
+ * - clientAuth: 'body' (por defecto) o 'basic' para enviarlas en el header Authorization
+ * - refreshToken: requerido por oauth2_refresh_token
+ * - scope, audience: opcionales
+ *
+ * Si el servidor rota el refresh token, el nuevo se guarda en el almacén de
+ * checkpoints (options.stateStore) y se usa tras un reinicio mientras el
+ * `refreshToken` de la configuración no cambie: muchos servidores revocan el
+ * anterior al rotarlo.
+ */
+class OAuth2AuthProvider extends TokenAuthProvider {
+  /**
+   * @param {Object} auth - Sección "auth" de la fuente
+   * @param {Object} options
+   * @param {string} options.source - Nombre de la fuente
+   * @param {CheckpointStore} options.stateStore - Donde persistir el refresh token rotado (opcional)
+   */
+  constructor(auth, options = {}) {
+    super(auth, options);
+    this.grantType = GRANT_TYPES[auth.type];
+    this.refreshToken = auth.refreshToken;
+    this.stateStore = options.stateStore || null;
+    this.refreshTokenRestored = false;
+
+    if (!auth.tokenUrl || !auth.clientId) {
+      throw new Error(`La autenticación ${auth.type} requiere "tokenUrl" y "clientId"`);
+    }
+    if (this.grantType === 'refresh_token' && !this.refreshToken) {
+      throw new Error('La autenticación oauth2_refresh_token requiere "refreshToken"');
+    }
+  }
+
+  /**
+   * @returns {Observable<{access_token: string, expires_in: number}>}
+   */
+  requestToken() {
+    return this.restoreRefreshToken().pipe(
+      switchMap(() => this.sendTokenRequest()),
+      switchMap(response => this.storeRefreshToken(response).pipe(map(() => response))),
+      catchError(error => {
+        const body = error.originalError && error.originalError.response && error.originalError.response.data;
+        if (body && body.error === 'invalid_grant' && this.grantType === 'refresh_token') {
+          logger.error(`[${this.source}] El servidor OAuth2 rechazó el refresh token (invalid_grant): está vencido o revocado. Configure uno nuevo en auth.refreshToken`);
+        }
+        return throwError(() => error);
+      })
+    );
+  }
+
+  /**
+   * Recupera (una sola vez) el refresh token rotado en una ejecución anterior
+   * @returns {Observable<void>}
+   * @private
+   */
+  restoreRefreshToken() {
+    if (this.grantType !== 'refresh_token' || !this.stateStore || this.refreshTokenRestored) {
+      return of(undefined);
+    }
+
+    return this.stateStore.getAuthState(this.source).pipe(
+      tap(state => {
+        this.refreshTokenRestored = true;
+        if (state && state.refreshToken && state.configuredToken === this.fingerprint(this.auth.refreshToken)) {
+          secretResolver.register(state.refreshToken);
+          this.refreshToken = state.refreshToken;
+          logger.debug(`[${this.source}] Se usa el refresh token rotado guardado el ${state.updatedAt}`);
+        }
+      }),
+      map(() => undefined)
+    );
+  }
+
+  /**
+   * Conserva el refresh token si el servidor lo rotó
+   * @param {Object} response - Respuesta del endpoint de tokens
+   * @returns {Observable<void>}
+   * @private
+   */
+  storeRefreshToken(response) {
+    if (!response.refresh_token || response.refresh_token === this.refreshToken) {
+      return of(undefined);
+    }
+
+    secretResolver.register(response.refresh_token);
+    this.refreshToken = response.refresh_token;
+    logger.info(`[${this.source}] El servidor OAuth2 rotó el refresh token`);
+
+    if (!this.stateStore) {
+      return of(undefined);
+    }
+    return this.stateStore.saveAuthState(this.source, {
+      refreshToken: this.refreshToken,
+      configuredToken: this.fingerprint(this.auth.refreshToken)
+    }).pipe(
+      catchError(error => {
+        logger.warn(`[${this.source}] No se pudo guardar el refresh token rotado, se perderá al reiniciar: ${error.message}`);
+        return of(undefined);
+      })
+    );
+  }
+
+  /**
+   * Huella del refresh token configurado, para descartar el guardado si cambia
+   * @private
+   */
+  fingerprint(token) {
+    return crypto.createHash('sha256').update(String(token || '')).digest('hex');
+  }
+
+  /**
+   * @returns {Observable<Object>}
+   * @private
+   */
+  sendTokenRequest() {
+    const { auth } = this;
+    const params = { grant_type: this.grantType };
+    const headers = { 'Content-Type': 'application/x-www-form-urlencoded' };
+
+    if (this.grantType === 'refresh_token') {
+      params.refresh_token = this.refreshToken;
+    }
+    if (auth.scope) {
+      params.scope = Array.isArray(auth.scope) ? auth.scope.join(' ') : auth.scope;
+    }
+    if (auth.audience) {
+      params.audience = auth.audience;
+    }
+
+    if (auth.clientAuth === 'basic') {
+      const credentials = `${encodeURIComponent(auth.clientId)}:${encodeURIComponent(auth.clientSecret || '')}`;
+      headers.Authorization = `Basic ${Buffer.from(credentials).toString('base64')}`;
+    } else {
+      params.client_id = auth.clientId;
+      if (auth.clientSecret) {
+        params.client_secret = auth.clientSecret;
+      }
+    }
+
+    return httpClient.post(auth.tokenUrl, new URLSearchParams(params).toString(), {
+      headers,
+      source: this.source
+    });
+  }
+}
+
+module.exports = OAuth2AuthProvider;
@@ -0,0 +1,46 @@
+// core/auth/staticAuthProvider.js
+const { of } = require('rxjs');
+const secretResolver = require('../../utils/secretResolver');
+
+const HEADER_BUILDERS = {
+  none: () => ({}),
+  bearer: auth => ({ Authorization: `Bearer ${auth.token}` }),
+  apikey: auth => ({ [auth.headerName || 'X-API-Key']: auth.apiKey }),
+  basic: auth => ({
+    Authorization: `Basic ${Buffer.from(`${auth.username}:${auth.password}`).toString('base64')}`
+  })
+};
+
+/**
+ * Credenciales fijas de la configuración: `bearer`, `apikey` o `basic`
+ * (o ninguna). Los headers se calculan una sola vez.
+ */
+class StaticAuthProvider {
+  /**
+   * @param {Object} auth - Sección "auth" de la fuente
+   */
+  constructor(auth) {
+    this.headers = HEADER_BUILDERS[auth.type](auth);
+    // El header Basic codifica los secretos: se oculta también el valor derivado
+    Object.values(this.headers).forEach(value => secretResolver.register(String(value).replace(/^(Bearer|Basic) /, '')));
+  }
+
+  /**
+   * @returns {Observable<Object>}
+   */
+  getHeaders() {
+    return of(this.headers);
+  }
+
+  /**
+   * Las credenciales fijas no se pueden renovar
+   * @returns {boolean}
+   */
+  invalidate() {
+    return false;
+  }
+}
+
+StaticAuthProvider.TYPES = Object.keys(HEADER_BUILDERS);
+
+module.exports = StaticAuthProvider;
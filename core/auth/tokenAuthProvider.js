@@ -0,0 +1,111 @@
+// core/auth/tokenAuthProvider.js
+const { of, defer } = require('rxjs');
+const { map, tap, finalize, shareReplay } = require('rxjs/operators');
+const logger = require('../logger');
+const secretResolver = require('../../utils/secretResolver');
+
+// Margen por defecto (segundos) para renovar el token antes de que expire
+const DEFAULT_REFRESH_MARGIN = 60;
+
+/**
+ * Base de los proveedores que canjean credenciales por un access token de
+ * corta duración. El token se guarda en memoria hasta poco antes de expirar
+ * y las peticiones concurrentes comparten una única renovación.
+ *
+ * Las subclases implementan requestToken(), que emite la respuesta del
+ * endpoint de tokens ({ access_token, expires_in }).
+ */
+class TokenAuthProvider {
+  /**
+   * @param {Object} auth - Sección "auth" de la fuente
+   * @param {number} auth.refreshMargin - Segundos antes del vencimiento en que se renueva el token
+   * @param {Object} options
+   * @param {string} options.source - Nombre de la fuente (logs y métricas)
+   */
+  constructor(auth, options = {}) {
+    this.auth = auth;
+    this.source = options.source;
+    this.refreshMarginMs = (auth.refreshMargin ?? DEFAULT_REFRESH_MARGIN) * 1000;
+    this.headers = null;
+    this.expiresAt = null;
+    this.refreshedAt = null;
+    this.tokenRequest$ = null;
+  }
+
+  /**
+   * Método abstracto: solicita un token nuevo
+   * @returns {Observable<{access_token: string, expires_in: number}>}
+   */
+  requestToken() {
+    throw new Error(`El método requestToken() debe ser implementado en ${this.constructor.name}`);
+  }
+
+  /**
+   * Headers con un token vigente, renovándolo si está por expirar
+   * @returns {Observable<Object>}
+   */
+  getHeaders() {
+    if (this.headers && (this.expiresAt === null || Date.now() < this.expiresAt - this.refreshMarginMs)) {
+      return of(this.headers);
+    }
+
+    if (!this.tokenRequest$) {
+      this.tokenRequest$ = defer(() => this.requestToken()).pipe(
+        tap(response => this.storeToken(response)),
+        map(() => this.headers),
+        finalize(() => {
+          this.tokenRequest$ = null;
+        }),
+        shareReplay(1)
+      );
+    }
+
+    return this.tokenRequest$;
+  }
+
+  /**
+   * Descarta el token tras un 401 para que la próxima petición lo renueve.
+   * Si el token ya fue renovado por otra petición se conserva el nuevo.
+   * @param {Object} usedHeaders - Headers con los que se hizo la petición rechazada
+   * @returns {boolean} - true: vale la pena reintentar
+   */
+  invalidate(usedHeaders) {
+    if (usedHeaders === this.headers) {
+      this.headers = null;
+      this.expiresAt = null;
+      // La renovación compartida puede seguir activa y reemitiría el token descartado
+      this.tokenRequest$ = null;
+    }
+    return true;
+  }
+
+  /**
+   * @returns {Object}
+   */
+  getStatus() {
+    return {
+      tokenExpiresAt: this.expiresAt ? new Date(this.expiresAt) : null,
+      tokenRefreshedAt: this.refreshedAt
+    };
+  }
+
+  /**
+   * Guarda el token de la respuesta. Sin `expires_in` el token se usa hasta
+   * que el API responda 401.
+   * @param {Object} response - Respuesta del endpoint de tokens
+   * @private
+   */
+  storeToken({ access_token, expires_in }) {
+    if (!access_token) {
+      throw new Error('El endpoint de tokens no devolvió access_token');
+    }
+
+    secretResolver.register(access_token);
+    this.headers = { Authorization: `Bearer ${access_token}` };
+    this.expiresAt = expires_in ? Date.now() + Number(expires_in) * 1000 : null;
+    this.refreshedAt = new Date();
+    logger.debug(`[${this.source}] Access token renovado${expires_in ? `, expira en ${expires_in}s` : ''}`);
+  }
+}
+
+module.exports = TokenAuthProvider;
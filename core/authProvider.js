@@ -0,0 +1,108 @@
+// core/authProvider.js
+const logger = require('./logger');
+const StaticAuthProvider = require('./auth/staticAuthProvider');
+const OAuth2AuthProvider = require('./auth/oauth2AuthProvider');
+const GoogleServiceAccountAuthProvider = require('./auth/googleServiceAccountAuthProvider');
+const { throwError, defer } = require('rxjs');
+const { catchError, switchMap } = require('rxjs/operators');
+
+const PROVIDERS = {
+  ...Object.fromEntries(StaticAuthProvider.TYPES.map(type => [type, StaticAuthProvider])),
+  oauth2_client_credentials: OAuth2AuthProvider,
+  oauth2_refresh_token: OAuth2AuthProvider,
+  google_service_account: GoogleServiceAccountAuthProvider
+};
+
+/**
+ * Autenticación de las peticiones de una fuente
+ * Delega en un proveedor intercambiable según `auth.type`: credenciales
+ * fijas (bearer, apikey, basic) o tokens de corta duración que se renuevan
+ * automáticamente (OAuth2, cuenta de servicio de Google).
+ *
+ * Interfaz de los proveedores:
+ * - getHeaders(): Observable<Object>
+ * - invalidate(usedHeaders): boolean, descarta el token tras un 401 e indica si conviene reintentar
+ * - getStatus(): Object, opcional
+ */
+class AuthProvider {
+  /**
+   * @param {Object} auth - Sección "auth" de la fuente (sin `type` no se autentica)
+   * @param {Object} options
+   * @param {string} options.source - Nombre de la fuente
+   * @param {CheckpointStore} options.stateStore - Almacén para el estado que deba sobrevivir reinicios (opcional)
+   */
+  constructor(auth, options = {}) {
+    const type = (auth && auth.type) || 'none';
+    const Provider = PROVIDERS[type];
+
+    if (!Provider) {
+      throw new Error(`Tipo de autenticación no soportado: ${type}. Disponibles: ${Object.keys(PROVIDERS).join(', ')}`);
+    }
+
+    this.type = type;
+    this.source = options.source;
+    this.provider = new Provider({ ...auth, type }, options);
+  }
+
+  /**
+   * Headers de autenticación para la próxima petición
+   * @returns {Observable<Object>}
+   */
+  getHeaders() {
+    return this.provider.getHeaders().pipe(
+      catchError(error => {
+        logger.error(`[${this.source}] Error obteniendo credenciales (${this.type}): ${error.message}`);
+        return throwError(() => error);
+      })
+    );
+  }
+
+  /**
+   * Envía una petición autenticada; ante un 401 renueva las credenciales y la
+   * reintenta una única vez
+   * @param {Function} send - (authHeaders) => Observable con la petición
+   * @param {string} target - URL o destino de la petición (para el log)
+   * @returns {Observable<*>}
+   */
+  withAuth(send, target) {
+    return defer(() => {
+      let usedHeaders = null;
+      const attempt = () => this.getHeaders().pipe(
+        switchMap(authHeaders => {
+          usedHeaders = authHeaders;
+          return send(authHeaders);
+        })
+      );
+
+      return attempt().pipe(
+        catchError(error => {
+          if (error.statusCode !== 401 || !this.invalidate(usedHeaders)) {
+            return throwError(() => error);
+          }
+          logger.warn(`[${this.source}] Respuesta 401, se renuevan las credenciales y se reintenta: ${target}`);
+          return attempt();
+        })
+      );
+    });
+  }
+
+  /**
+   * @param {Object} usedHeaders - Headers de la petición rechazada con 401
+   * @returns {boolean} - true si se renovarán las credenciales y conviene reintentar
+   */
+  invalidate(usedHeaders) {
+    return this.provider.invalidate(usedHeaders);
+  }
+
+  /**
+   * @returns {Object}
+   */
+  getStatus() {
+    return {
+      type: this.type,
+      ...(this.provider.getStatus ? this.provider.getStatus() : {})
+    };
+  }
+}
+
+module.exports = AuthProvider;
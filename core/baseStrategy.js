@@ -3,8 +3,30 @@ const logger = require('./logger');
 const errorHandler = require('../utils/errorHandler');
 const httpClient = require('../utils/httpClient');
 const dataFormatter = require('../utils/dataFormatter');
-const { of, from, throwError, EMPTY } = require('rxjs');
-const { switchMap, map, tap, catchError, finalize } = require('rxjs/operators');
+const metrics = require('./metrics');
+const AuthProvider = require('./authProvider');
+const CircuitBreaker = require('./circuitBreaker');
+const { of, from, defer, throwError, EMPTY } = require('rxjs');
+const { switchMap, map, tap, catchError, finalize, concatMap, toArray, expand } = require('rxjs/operators');
+
+/**
+ * Estados del ciclo de vida de una estrategia
+ * - enabled: se ejecuta según su planificación
+ * - disabled: deshabilitada por configuración (`enabled: false`) o por API
+ * - paused: suspendida temporalmente por un operador
+ * - auto-disabled: deshabilitada tras N errores no recuperables consecutivos
+ */
+const STATES = Object.freeze({
+  ENABLED: 'enabled',
+  DISABLED: 'disabled',
+  PAUSED: 'paused',
+  AUTO_DISABLED: 'auto-disabled'
+});
+
+/**
+ * Estilos de paginación soportados por paginate()
+ */
+const PAGINATION_STYLES = ['none', 'page', 'offset', 'cursor', 'link', 'nextUrl'];
 
 /**
  * Clase base abstracta para todas las estrategias de extracci�n de datos
@@ -18,7 +40,15 @@ class BaseStrategy {
    * @param {string} config.url - URL base del API
    * @param {Object} config.auth - Configuraci�n de autenticaci�n
    * @param {number} config.interval - Intervalo de ejecuci�n en ms
+   * @param {string} config.schedule - Expresión cron (alternativa a interval)
+   * @param {string} config.timezone - Zona horaria del cron y de las ventanas de bloqueo
+   * @param {Array<Object>} config.blackoutWindows - Ventanas horarias sin ejecuciones
    * @param {Object} config.mapping - Schema de mapeo de datos
+   * @param {boolean} config.enabled - Si la fuente arranca habilitada (por defecto true)
+   * @param {number} config.maxFatalErrors - Errores no recuperables consecutivos antes de auto-deshabilitar
+   * @param {boolean|Object} config.changeDetection - Publicar solo registros nuevos o modificados ({ ignoreFields })
+   * @param {Object} config.rateLimit - Límite de peticiones HTTP ({ requestsPerSecond|requestsPerMinute, burst, scope })
+   * @param {boolean|Object} config.circuitBreaker - Circuit breaker ({ failureThreshold, cooldown }); false lo deshabilita
    */
   constructor(config) {
     if (this.constructor === BaseStrategy) {
@@ -29,9 +59,24 @@ class BaseStrategy {
     this.name = config.name;
     this.type = config.type;
     this.isRunning = false;
+    this.state = config.enabled === false ? STATES.DISABLED : STATES.ENABLED;
+    this.stateReason = config.enabled === false ? 'Deshabilitada en configuración' : null;
+    this.consecutiveFatalErrors = 0;
+    this.consecutiveFailures = 0;
+    this.maxFatalErrors = config.maxFatalErrors || 5;
+    this.stateChangedAt = null;
     this.lastExecution = null;
     this.lastError = null;
     this.executionCount = 0;
+    this.checkpointStore = null;
+    this.checkpointLoaded = false;
+    this.cursors = {};
+    this.pendingCursors = {};
+    this.schedule = null;
+    this.deadLetterQueue = null;
+    this.changeDetector = null;
+    this.authProvider = null;
+    this.circuitBreaker = new CircuitBreaker(config.circuitBreaker, config.name);
   }
 
   /**
@@ -70,42 +115,60 @@ class BaseStrategy {
     return of(undefined).pipe(
       tap(() => {
         this.isRunning = true;
+        this.pendingCursors = {};
         logger.info(`[${this.name}] Iniciando extraccin de datos`);
       }),
+      switchMap(() => this.loadCheckpoint()),
       // 1. Extract
-      switchMap(() => from(this.extract())), // `from` convierte Promise a Observable si es necesario
+      switchMap(() => {
+        const extractStart = Date.now();
+        return from(this.extract()).pipe( // `from` convierte Promise a Observable si es necesario
+          tap(() => metrics.observePhase(this.name, 'extract', Date.now() - extractStart))
+        );
+      }),
       switchMap(rawData => {
         if (!rawData || (Array.isArray(rawData) && rawData.length === 0)) {
           logger.info(`[${this.name}] No hay datos para procesar`);
-          return of({ success: true, recordsProcessed: 0, duration: Date.now() - startTime });
+          return this.commitCursor().pipe(
+            map(() => ({ success: true, recordsProcessed: 0, duration: Date.now() - startTime }))
+          );
         }
 
-        // 2. Transform
-        const transformedData = this.transform(rawData);
-
-        // 3. Load
-        const topic = this.config.kafkaTopic || `connector.${this.type}.${this.name}`;
-        return kafkaPublisher.publish(topic, transformedData, {
-          source: this.name,
-          type: this.type
-        }).pipe(
-          map(() => {
-            const duration = Date.now() - startTime;
-            const recordCount = Array.isArray(transformedData) ? transformedData.length : 1;
-            return { success: true, recordsProcessed: recordCount, duration };
-          })
+        // 2. Transform y 3. Load; el cursor solo avanza si todos los lotes se publicaron.
+        // En modo transaccional los lotes y el checkpoint se confirman juntos
+        return this.beginTransaction(kafkaPublisher).pipe(
+          switchMap(transaction => this.processData(rawData, kafkaPublisher, transaction).pipe(
+            switchMap(recordCount => this.commitCursor(transaction).pipe(
+              switchMap(() => (transaction ? transaction.commit() : of(undefined))),
+              map(() => ({ success: true, recordsProcessed: recordCount, duration: Date.now() - startTime }))
+            )),
+            catchError(error => (transaction ? transaction.abort() : of(undefined)).pipe(
+              catchError(() => of(undefined)),
+              switchMap(() => throwError(() => error))
+            ))
+          ))
         );
       }),
       tap(result => {
+        metrics.observePhase(this.name, 'total', result.duration);
+        metrics.recordExecution(this.name, result.success);
         if (result.success) {
           this.lastExecution = new Date();
           this.lastError = null;
           this.executionCount++;
+          this.consecutiveFatalErrors = 0;
+          this.consecutiveFailures = 0;
+          this.circuitBreaker.recordSuccess();
         }
       }),
       catchError(error => {
         const duration = Date.now() - startTime;
         this.lastError = errorHandler.handleStrategyError(error, this.constructor.name, this.name);
+        this.consecutiveFailures++;
+        this.registerFatalError(this.lastError);
+        this.circuitBreaker.recordFailure(this.lastError);
+        metrics.observePhase(this.name, 'total', duration);
+        metrics.recordExecution(this.name, false);
         const errorResult = { success: false, error: this.lastError, duration };
         // Devolvemos un observable que emite el error y completa, para no romper la cadena del scheduler
         return of(errorResult);
@@ -116,65 +179,599 @@ class BaseStrategy {
     );
   }
 
+  /**
+   * Transforma y publica datos crudos, un lote por tópico y en orden
+   * Los lotes que fallan se envían a la DLQ y no impiden publicar los siguientes;
+   * al terminar se emite el primer error de publicación, si lo hubo.
+   * @param {*} rawData - Datos crudos (resultado de extract() o recibidos por push)
+   * @param {Object} kafkaPublisher - Instancia del publicador de Kafka
+   * @param {KafkaTransaction} transaction - Transacción de la ejecución (opcional)
+   * @returns {Observable<number>} - Cantidad de registros publicados
+   */
+  processData(rawData, kafkaPublisher, transaction = null) {
+    let transformedData;
+    const transformStart = Date.now();
+    try {
+      transformedData = this.transform(rawData);
+      metrics.observePhase(this.name, 'transform', Date.now() - transformStart);
+    } catch (error) {
+      return this.sendToDeadLetter('transform', rawData, error).pipe(
+        switchMap(() => throwError(() => error))
+      );
+    }
+
+    const { batches, changes } = this.detectChanges(
+      this.getPublishBatches(transformedData)
+        .filter(batch => !Array.isArray(batch.records) || batch.records.length > 0)
+    );
+    const publishStart = Date.now();
+
+    return from(batches).pipe(
+      concatMap(batch => kafkaPublisher.publish(batch.topic, batch.records, {
+        source: this.name,
+        type: batch.type || this.type
+      }, transaction).pipe(
+        map(() => ({ error: null, rejected: null })),
+        catchError(error => {
+          // Los registros que superan el tamaño máximo de envío no se reintentan: solo ellos
+          // van a la DLQ y el resto del lote queda publicado. Si no llegan a la DLQ el lote falla.
+          if (error.oversizedRecords) {
+            return this.sendToDeadLetter('publish', error.oversizedRecords, error, batch.topic, batch.type).pipe(
+              map(sent => {
+                if (!sent) {
+                  logger.error(`[${this.name}] ${error.oversizedRecords.length} registro(s) demasiado grandes para '${batch.topic}' y sin dead letter queue: el lote falla`);
+                  return { error, rejected: null };
+                }
+                return { error: null, rejected: { topic: batch.topic, records: error.oversizedRecords } };
+              })
+            );
+          }
+          return this.sendToDeadLetter('publish', batch.records, error, batch.topic, batch.type).pipe(
+            map(() => ({ error, rejected: null }))
+          );
+        })
+      )),
+      toArray(),
+      tap(() => metrics.observePhase(this.name, 'publish', Date.now() - publishStart)),
+      switchMap(results => {
+        const publishError = results.map(result => result.error).find(error => error !== null);
+        if (publishError) {
+          return throwError(() => publishError);
+        }
+
+        // Los registros enviados a la DLQ no cuentan como publicados ni entran al snapshot
+        const rejected = results.map(result => result.rejected).filter(Boolean);
+        const recordCount = batches.reduce(
+          (total, batch) => total + (Array.isArray(batch.records) ? batch.records.length : 1),
+          0
+        ) - rejected.reduce((total, { records }) => total + records.length, 0);
+
+        return this.commitChanges(changes, rejected, transaction).pipe(map(() => recordCount));
+      })
+    );
+  }
+
+  /**
+   * Confirma el snapshot de detección de cambios tras publicar todos los lotes
+   * (tras el commit, si hay transacción)
+   * @param {Array<Object>} changes - Valores `changes` de detectChanges()
+   * @param {Array<{topic: string, records: Array}>} rejected - Registros enviados a la DLQ
+   * @param {KafkaTransaction} transaction - Transacción de la ejecución (opcional)
+   * @returns {Observable<void>}
+   * @private
+   */
+  commitChanges(changes, rejected, transaction) {
+    if (changes.length === 0) {
+      return of(undefined);
+    }
+
+    const published = rejected.reduce(
+      (list, { topic, records }) => this.changeDetector.discard(this.name, list, topic, records),
+      changes
+    );
+    if (transaction) {
+      transaction.afterCommit(() => this.changeDetector.commit(this.name, published));
+      return of(undefined);
+    }
+    return this.changeDetector.commit(this.name, published);
+  }
+
+  /**
+   * Aplica la detección de cambios a los lotes, si está habilitada para la fuente
+   * Los lotes que quedan vacíos se descartan.
+   * @param {Array<Object>} batches - Lotes de getPublishBatches()
+   * @returns {{batches: Array<Object>, changes: Array<Object>}} - `changes` se confirma tras publicar
+   * @private
+   */
+  detectChanges(batches) {
+    if (!this.config.changeDetection || !this.changeDetector) {
+      return { batches, changes: [] };
+    }
+
+    const configured = typeof this.config.changeDetection === 'object' ? this.config.changeDetection : {};
+    const options = { ...configured, ignoreFields: [...this.getChangeIgnoreFields(), ...(configured.ignoreFields || [])] };
+    const changes = [];
+    let unchanged = 0;
+
+    const changedBatches = batches
+      .map(batch => {
+        if (!Array.isArray(batch.records)) {
+          return batch;
+        }
+        const detection = this.changeDetector.detect(this.name, batch.topic, batch.records, options);
+        changes.push(detection.changes);
+        unchanged += detection.unchanged;
+        return { ...batch, records: detection.records };
+      })
+      .filter(batch => !Array.isArray(batch.records) || batch.records.length > 0);
+
+    logger.info(`[${this.name}] Detección de cambios: ${unchanged} registros sin cambios omitidos`);
+    return { batches: changedBatches, changes };
+  }
+
+  /**
+   * Campos excluidos siempre del hash de la detección de cambios, además de
+   * `changeDetection.ignoreFields`
+   * Las estrategias que agregan valores propios de cada ejecución (por
+   * ejemplo, la hora de una lectura) los declaran aquí.
+   * @returns {Array<string>}
+   */
+  getChangeIgnoreFields() {
+    return [];
+  }
+
+  /**
+   * Publica datos recibidos por push (por ejemplo, un webhook) sin pasar por
+   * extract() ni modificar los cursores
+   * @param {*} rawData - Datos crudos con el mismo formato que devuelve extract()
+   * @param {Object} kafkaPublisher - Instancia del publicador de Kafka
+   * @returns {Observable<{success: boolean, recordsProcessed: number}>}
+   */
+  ingest(rawData, kafkaPublisher) {
+    return this.processData(rawData, kafkaPublisher).pipe(
+      map(recordCount => ({ success: true, recordsProcessed: recordCount })),
+      catchError(error => {
+        this.lastError = errorHandler.handleStrategyError(error, this.constructor.name, this.name);
+        return throwError(() => error);
+      })
+    );
+  }
+
+  /**
+   * Indica si la fuente acepta eventos push a través de handleWebhook()
+   * @returns {boolean}
+   */
+  acceptsWebhooks() {
+    return false;
+  }
+
+  /**
+   * Configuración de planificación de la fuente. Devuelve null si la fuente no
+   * se ejecuta periódicamente (solo recibe eventos push).
+   * @returns {Object|null}
+   */
+  getScheduleConfig() {
+    return this.config;
+  }
+
+  /**
+   * Asigna el detector de cambios usado cuando `config.changeDetection` está activo
+   * @param {ChangeDetector} changeDetector
+   */
+  setChangeDetector(changeDetector) {
+    this.changeDetector = changeDetector;
+  }
+
+  /**
+   * Asigna la dead letter queue donde se envían los lotes fallidos
+   * @param {DeadLetterQueue} deadLetterQueue
+   */
+  setDeadLetterQueue(deadLetterQueue) {
+    this.deadLetterQueue = deadLetterQueue;
+  }
+
+  /**
+   * Envía un payload fallido a la dead letter queue, si está configurada
+   * @param {string} stage - 'transform' o 'publish'
+   * @param {*} payload - Datos crudos (transform) o transformados (publish)
+   * @param {Error} error - Error original
+   * @param {string} topic - Tópico destino (solo publish)
+   * @param {string} type - Tipo del lote (por defecto el de la fuente)
+   * @returns {Observable<boolean>}
+   */
+  sendToDeadLetter(stage, payload, error, topic = null, type = this.type) {
+    if (!this.deadLetterQueue) {
+      return of(false);
+    }
+
+    return this.deadLetterQueue.send({
+      source: this.name,
+      type,
+      stage,
+      originalTopic: topic,
+      payload,
+      error,
+      attempt: this.consecutiveFailures + 1
+    });
+  }
+
+  /**
+   * Agrupa los datos transformados en lotes a publicar, uno por tópico.
+   * Por defecto todo va al tópico de la fuente; las estrategias que extraen
+   * varios recursos lo sobrescriben para publicar cada uno en su tópico.
+   * @param {Array|Object} transformedData - Resultado de transform()
+   * @returns {Array<{topic: string, records: Array|Object, type?: string}>}
+   */
+  getPublishBatches(transformedData) {
+    return [{ topic: this.getTopic(), records: transformedData }];
+  }
+
+  /**
+   * Resuelve el tópico de la fuente o de uno de sus recursos
+   * Para recursos se usa `config.topics[resource]` o
+   * `connector.<type>.<name>.<resource>` por defecto. El recurso principal de
+   * la estrategia (`primaryResource`) conserva `config.kafkaTopic`, el tópico
+   * único de las configuraciones anteriores a los tópicos por recurso.
+   * @param {string} resource - Recurso (opcional)
+   * @returns {string}
+   */
+  getTopic(resource) {
+    if (!resource) {
+      return this.config.kafkaTopic || `connector.${this.type}.${this.name}`;
+    }
+
+    const topics = this.config.topics || {};
+    if (topics[resource]) {
+      return topics[resource];
+    }
+    if (this.config.kafkaTopic && resource === this.constructor.primaryResource) {
+      return this.config.kafkaTopic;
+    }
+    return `connector.${this.type}.${this.name}.${resource}`;
+  }
+
+  /**
+   * Contabiliza errores no recuperables y auto-deshabilita la estrategia al superar el límite
+   * @param {Object} errorInfo - Resultado de errorHandler.handleStrategyError()
+   * @private
+   */
+  registerFatalError(errorInfo) {
+    if (errorInfo.recoverable) {
+      return;
+    }
+
+    this.consecutiveFatalErrors++;
+
+    if (this.consecutiveFatalErrors >= this.maxFatalErrors && this.state === STATES.ENABLED) {
+      this.setState(
+        STATES.AUTO_DISABLED,
+        `${this.consecutiveFatalErrors} errores no recuperables consecutivos: ${errorInfo.message}`
+      );
+      logger.error(`[${this.name}] Auto-deshabilitada tras ${this.consecutiveFatalErrors} errores no recuperables consecutivos`);
+    }
+  }
+
+  /**
+   * Cambia el estado del ciclo de vida
+   * @param {string} state - Uno de BaseStrategy.STATES
+   * @param {string} reason - Motivo del cambio
+   * @private
+   */
+  setState(state, reason = null) {
+    this.state = state;
+    this.stateReason = reason;
+    this.stateChangedAt = new Date();
+  }
+
+  /**
+   * Habilita la estrategia (también desde auto-disabled o paused)
+   */
+  enable() {
+    this.consecutiveFatalErrors = 0;
+    this.setState(STATES.ENABLED);
+  }
+
+  /**
+   * Deshabilita la estrategia
+   * @param {string} reason - Motivo
+   */
+  disable(reason = 'Deshabilitada manualmente') {
+    this.setState(STATES.DISABLED, reason);
+  }
+
+  /**
+   * Pausa la estrategia. Solo aplica a estrategias habilitadas.
+   * @param {string} reason - Motivo
+   */
+  pause(reason = 'Pausada manualmente') {
+    if (this.state !== STATES.ENABLED) {
+      throw new Error(`No se puede pausar '${this.name}' en estado '${this.state}'`);
+    }
+    this.setState(STATES.PAUSED, reason);
+  }
+
+  /**
+   * Reanuda una estrategia pausada
+   */
+  resume() {
+    if (this.state !== STATES.PAUSED) {
+      throw new Error(`No se puede reanudar '${this.name}' en estado '${this.state}'`);
+    }
+    this.setState(STATES.ENABLED);
+  }
+
+  /**
+   * Indica si las ejecuciones programadas deben correr
+   * @returns {boolean}
+   */
+  isSchedulable() {
+    return this.state === STATES.ENABLED;
+  }
+
+  /**
+   * Asigna el almacén de checkpoints usado para persistir los cursores
+   * @param {CheckpointStore} checkpointStore
+   */
+  setCheckpointStore(checkpointStore) {
+    this.checkpointStore = checkpointStore;
+    this.checkpointLoaded = false;
+  }
+
+  /**
+   * Carga los cursores persistidos la primera vez que se ejecuta la estrategia
+   * @returns {Observable<void>}
+   */
+  loadCheckpoint() {
+    if (!this.checkpointStore || this.checkpointLoaded) {
+      return of(undefined);
+    }
+
+    return this.checkpointStore.getCursors(this.name).pipe(
+      tap(cursors => {
+        this.cursors = cursors;
+        this.checkpointLoaded = true;
+        if (Object.keys(cursors).length > 0) {
+          logger.info(`[${this.name}] Reanudando desde checkpoint: ${JSON.stringify(cursors)}`);
+        }
+      }),
+      map(() => undefined)
+    );
+  }
+
+  /**
+   * Obtiene el último cursor confirmado
+   * @param {string} name - Nombre del cursor (permite varios por fuente)
+   * @returns {*} - Valor del cursor o null si nunca se confirmó
+   */
+  getCursor(name = 'default') {
+    return this.cursors[name] !== undefined ? this.cursors[name] : null;
+  }
+
+  /**
+   * Registra un nuevo valor de cursor para la ejecución en curso.
+   * No se persiste hasta que commitCursor() se invoca tras publicar.
+   * @param {*} value - Nuevo valor del cursor
+   * @param {string} name - Nombre del cursor
+   */
+  setCursor(value, name = 'default') {
+    this.pendingCursors[name] = value;
+  }
+
+  /**
+   * Confirma los cursores pendientes en el almacén de checkpoints
+   * Con una transacción, los cursores en memoria se actualizan recién tras su commit.
+   * @param {KafkaTransaction} transaction - Transacción de la ejecución (opcional)
+   * @returns {Observable<void>}
+   */
+  commitCursor(transaction = null) {
+    if (Object.keys(this.pendingCursors).length === 0) {
+      return of(undefined);
+    }
+
+    const cursors = { ...this.cursors, ...this.pendingCursors };
+    const commit$ = this.checkpointStore
+      ? this.checkpointStore.commitCursors(this.name, cursors, transaction)
+      : of(undefined);
+    const apply = () => {
+      this.cursors = cursors;
+      this.pendingCursors = {};
+    };
+
+    return commit$.pipe(
+      tap(() => (transaction ? transaction.afterCommit(apply) : apply()))
+    );
+  }
+
+  /**
+   * Abre la transacción de Kafka de una ejecución, si el publisher la soporta
+   * y el modo transaccional está habilitado
+   * @param {Object} kafkaPublisher - Publisher recibido por execute()
+   * @returns {Observable<KafkaTransaction|null>}
+   */
+  beginTransaction(kafkaPublisher) {
+    return kafkaPublisher.beginTransaction ? kafkaPublisher.beginTransaction(this.name) : of(null);
+  }
+
   /**
    * M�todo helper para hacer peticiones HTTP autenticadas
-   * @param {string} endpoint - Endpoint a consumir (relativo a la URL base)
+   * @param {string} endpoint - Endpoint a consumir (relativo a la URL base, o absoluto)
    * @param {Object} options - Opciones adicionales de la petici�n
    * @returns {Observable<Object>}
    */
   makeRequest(endpoint, options = {}) {
-    const url = `${this.config.url}${endpoint}`;
-    const requestConfig = {
+    const url = this.resolveUrl(endpoint);
+
+    // Ante un 401 se renuevan las credenciales y se reintenta una única vez
+    return defer(() => this.getAuthProvider().withAuth(authHeaders => httpClient.request({
       ...options,
       headers: {
-        ...this.getAuthHeaders(),
+        ...authHeaders,
         ...options.headers
       },
-      url
-    };
+      url,
+      source: this.name,
+      rateLimit: this.config.rateLimit || {}
+    }), url));
+  }
 
-    return httpClient.request(requestConfig);
+  /**
+   * URL absoluta de un endpoint. Se aceptan URLs absolutas para APIs
+   * servidas desde otro host.
+   * @param {string} endpoint - Endpoint relativo a la URL base, o absoluto
+   * @returns {string}
+   * @private
+   */
+  resolveUrl(endpoint) {
+    return /^https?:\/\//.test(endpoint) ? endpoint : `${this.config.url}${endpoint}`;
   }
 
   /**
-   * Obtiene los headers de autenticaci�n seg�n la configuraci�n
-   * @returns {Object}
+   * Recorre un recurso paginado y emite cada página a medida que llega
+   * Los estilos soportados son:
+   * - page: número de página (`ctx.page`, desde `startPage`)
+   * - offset: desplazamiento y límite (`ctx.offset`, `ctx.limit`)
+   * - cursor: token de la página siguiente en `nextPath` del cuerpo (`ctx.next`)
+   * - link: URL de la página siguiente en el header `Link` (RFC 5988, rel="next")
+   * - nextUrl: URL de la página siguiente en `nextPath` del cuerpo
+   * - none: una sola petición
+   * En link y nextUrl solo se siguen URLs del mismo origen que la primera
+   * página, para no enviar las credenciales a otro host.
+   * En page y offset la paginación termina con una página vacía o, si se
+   * indica `pageSize`, con una página de menos registros.
+   *
+   * @param {Object} options
+   * @param {string} options.style - Estilo de paginación
+   * @param {Function} options.request - (ctx) => { endpoint, options } de makeRequest(); ctx = { index, page, offset, limit, next }
+   * @param {Function} options.records - (body) => Array de registros de la página; puede lanzar un error
+   * @param {number} options.pageSize - Registros por página
+   * @param {number} options.startPage - Número de la primera página (por defecto 1)
+   * @param {string} options.nextPath - Ruta del token o URL siguiente en el cuerpo (por defecto 'next')
+   * @param {Function} options.nextToken - (body, records) => token|null, reemplaza a nextPath en el estilo cursor
+   * @param {number} options.maxPages - Límite de páginas (por defecto config.maxPages o 100)
+   * @param {string} options.label - Nombre del recurso para los logs
+   * @returns {Observable<{records: Array, body: *, index: number}>}
    */
-  getAuthHeaders() {
-    const { auth } = this.config;
+  paginate(options) {
+    const style = options.style || 'none';
+    const maxPages = options.maxPages || this.config.maxPages || 100;
+    const label = options.label || 'registros';
 
-    if (!auth || !auth.type) {
-      return {};
+    if (!PAGINATION_STYLES.includes(style)) {
+      return throwError(() => new Error(`Paginación no soportada: ${style}. Disponibles: ${PAGINATION_STYLES.join(', ')}`));
     }
 
-    switch (auth.type) {
-      case 'bearer':
-        return { Authorization: `Bearer ${auth.token}` };
+    const fetchPage = (index, next) => {
+      const ctx = {
+        index,
+        page: (options.startPage ?? 1) + index,
+        offset: index * (options.pageSize || 0),
+        limit: options.pageSize,
+        next
+      };
+      const { endpoint, options: requestOptions = {} } = options.request(ctx);
+      // En link y nextUrl la URL siguiente ya incluye sus parámetros
+      const url = (style === 'link' || style === 'nextUrl') && next ? next : endpoint;
 
-      case 'apikey':
-        return { [auth.headerName || 'X-API-Key']: auth.apiKey };
+      return this.makeRequest(url, { ...requestOptions, fullResponse: true }).pipe(
+        map(response => {
+          const records = options.records(response.data) || [];
+          return { records, body: response.data, headers: response.headers || {}, index, url: this.resolveUrl(url) };
+        })
+      );
+    };
+
+    const nextOf = ({ records, body, headers, url }) => {
+      switch (style) {
+        case 'page':
+        case 'offset':
+          return records.length === 0 || (options.pageSize && records.length < options.pageSize) ? null : true;
+        case 'cursor':
+          return options.nextToken
+            ? options.nextToken(body, records)
+            : dataFormatter.getNestedValue(body, options.nextPath || 'next') || null;
+        case 'nextUrl':
+          return dataFormatter.getNestedValue(body, options.nextPath || 'next') || null;
+        case 'link':
+          return this.parseNextLink(headers.link, url);
+        default:
+          return null;
+      }
+    };
 
-      case 'basic':
-        const credentials = Buffer.from(`${auth.username}:${auth.password}`).toString('base64');
-        return { Authorization: `Basic ${credentials}` };
+    return fetchPage(0, null).pipe(
+      expand(page => {
+        const next = nextOf(page);
+        if (next === null || next === undefined) {
+          return EMPTY;
+        }
+        if ((style === 'link' || style === 'nextUrl') && new URL(next, page.url).origin !== new URL(page.url).origin) {
+          return throwError(() => new Error(
+            `La página siguiente de ${label} apunta a otro origen (${new URL(next, page.url).origin}); no se sigue para no enviar las credenciales`
+          ));
+        }
+        if (page.index + 1 >= maxPages) {
+          logger.warn(`[${this.name}] Se alcanzó maxPages (${maxPages}) extrayendo ${label}`);
+          return EMPTY;
+        }
+        return fetchPage(page.index + 1, next);
+      }),
+      map(({ records, body, index }) => ({ records, body, index }))
+    );
+  }
 
-      default:
-        logger.warn(`[${this.name}] Tipo de autenticaci�n no soportado: ${auth.type}`);
-        return {};
+  /**
+   * Obtiene la URL rel="next" de un header Link (RFC 5988)
+   * Las URLs relativas se resuelven contra la URL de la página que trajo el header.
+   * @param {string} header - Valor del header Link
+   * @param {string} pageUrl - URL absoluta de la página actual
+   * @returns {string|null}
+   * @private
+   */
+  parseNextLink(header, pageUrl) {
+    if (!header) {
+      return null;
     }
+
+    const next = header.split(',')
+      .map(part => /<([^>]+)>\s*;(.*)/.exec(part.trim()))
+      .find(match => match && /rel="?([^";]*\s)?next(\s[^";]*)?"?/.test(match[2]));
+
+    return next ? new URL(next[1], pageUrl).toString() : null;
+  }
+
+  /**
+   * Proveedor de autenticación de la fuente, creado en la primera petición
+   * @returns {AuthProvider}
+   */
+  getAuthProvider() {
+    if (!this.authProvider) {
+      this.authProvider = new AuthProvider(this.getAuthConfig(), { source: this.name, stateStore: this.checkpointStore });
+    }
+    return this.authProvider;
+  }
+
+  /**
+   * Configuración de autenticación (por defecto `config.auth`)
+   * Las estrategias con un esquema propio la sobrescriben para traducirlo a
+   * uno de los tipos de AuthProvider.
+   * @returns {Object|null}
+   */
+  getAuthConfig() {
+    return this.config.auth || null;
   }
 
   /**
    * Normaliza datos usando el schema de mapeo configurado
    * @param {*} data - Datos a normalizar
+   * @param {Object} mapping - Schema a aplicar (por defecto config.mapping)
    * @returns {*}
    */
-  normalize(data) {
-    if (!this.config.mapping) {
+  normalize(data, mapping = this.config.mapping) {
+    if (!mapping) {
       return data;
     }
 
-    return dataFormatter.normalize(data, this.config.mapping);
+    return dataFormatter.normalize(data, mapping);
   }
 
   /**
@@ -202,12 +799,27 @@ class BaseStrategy {
       name: this.name,
       type: this.type,
       isRunning: this.isRunning,
+      state: this.state,
+      stateReason: this.stateReason,
+      stateChangedAt: this.stateChangedAt,
+      consecutiveFatalErrors: this.consecutiveFatalErrors,
+      consecutiveFailures: this.consecutiveFailures,
       lastExecution: this.lastExecution,
       lastError: this.lastError,
       executionCount: this.executionCount,
-      interval: this.config.interval
+      interval: this.config.interval,
+      schedule: this.config.schedule || null,
+      timezone: this.config.timezone || null,
+      nextRun: this.schedule && this.isSchedulable() ? this.schedule.nextRunAt : null,
+      cursors: this.cursors,
+      auth: this.authProvider ? this.authProvider.getStatus() : null,
+      circuitBreaker: this.circuitBreaker.getStatus(),
+      rateLimit: httpClient.getRateLimitStatus(this.name, this.config.url, this.config.rateLimit)
     };
   }
 }
 
+BaseStrategy.STATES = STATES;
+BaseStrategy.PAGINATION_STYLES = PAGINATION_STYLES;
+
 module.exports = BaseStrategy;
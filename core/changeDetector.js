@@ -0,0 +1,182 @@
+// core/changeDetector.js
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { defer, of } = require('rxjs');
+const logger = require('./logger');
+
+/**
+ * Detección de cambios entre ejecuciones
+ * Mantiene por fuente un snapshot { [tópico]: { [key]: hash } } con el hash
+ * del contenido de cada registro publicado, donde la key es la misma que usa
+ * KafkaPublisher.generateKey(). Solo se publican los registros nuevos o
+ * modificados, marcados con `_change: 'created' | 'updated'`.
+ *
+ * El snapshot de cada fuente se guarda en `<path>/<fuente>.json` y solo se
+ * actualiza tras publicar (commit()), así un publish fallido no pierde cambios.
+ */
+class ChangeDetector {
+  /**
+   * @param {Object} config - Sección "changeDetection" de sources.json
+   * @param {string} config.path - Directorio de snapshots (relativo a la raíz del proyecto)
+   * @param {KafkaPublisher} kafkaPublisher - Publisher usado para calcular las keys
+   */
+  constructor(config = {}, kafkaPublisher) {
+    this.dir = path.resolve(path.join(__dirname, '..'), config.path || 'data/snapshots');
+    this.kafkaPublisher = kafkaPublisher;
+    this.snapshots = new Map();
+  }
+
+  /**
+   * Filtra los registros sin cambios respecto del snapshot
+   * Los registros sin `id` ni `_id` (o con valores vacíos, 0 incluido) no tienen
+   * una key estable (generateKey() usa la fuente) y se publican siempre.
+   * @param {string} source - Nombre de la fuente
+   * @param {string} topic - Tópico del lote
+   * @param {Array<Object>} records - Registros transformados
+   * @param {Object} options
+   * @param {Array<string>} options.ignoreFields - Campos excluidos del hash (además de `_metadata`)
+   * @returns {{records: Array<Object>, changes: Object, unchanged: number}} - `changes` se pasa a commit()
+   */
+  detect(source, topic, records, options = {}) {
+    const previous = this.loadSnapshot(source)[topic] || {};
+    const ignoreFields = ['_metadata', ...(options.ignoreFields || [])];
+    const changes = {};
+    const changed = [];
+    let unchanged = 0;
+
+    records.forEach(record => {
+      // Mismo criterio que KafkaPublisher.generateKey()
+      if (!record.id && !record._id) {
+        changed.push(record);
+        return;
+      }
+
+      const key = this.kafkaPublisher.generateKey(record, { source });
+      const hash = this.hash(record, ignoreFields);
+
+      if (previous[key] === hash) {
+        unchanged++;
+        return;
+      }
+
+      changes[key] = hash;
+      changed.push({ ...record, _change: previous[key] === undefined ? 'created' : 'updated' });
+    });
+
+    return { records: changed, changes: { [topic]: changes }, unchanged };
+  }
+
+  /**
+   * Quita de los cambios a confirmar los registros que no se publicaron
+   * @param {string} source - Nombre de la fuente
+   * @param {Array<Object>} changesList - Valores `changes` devueltos por detect()
+   * @param {string} topic - Tópico de los registros
+   * @param {Array<Object>} records - Registros no publicados
+   * @returns {Array<Object>} - Nueva lista de cambios
+   */
+  discard(source, changesList, topic, records) {
+    const keys = new Set(records.map(record => this.kafkaPublisher.generateKey(record, { source })));
+
+    return changesList.map(changes => {
+      if (!changes[topic]) {
+        return changes;
+      }
+      const hashes = Object.fromEntries(Object.entries(changes[topic]).filter(([key]) => !keys.has(key)));
+      return { ...changes, [topic]: hashes };
+    });
+  }
+
+  /**
+   * Incorpora al snapshot los cambios ya publicados y lo persiste
+   * @param {string} source - Nombre de la fuente
+   * @param {Array<Object>} changesList - Valores `changes` devueltos por detect()
+   * @returns {Observable<void>}
+   */
+  commit(source, changesList) {
+    return defer(() => {
+      const snapshot = this.loadSnapshot(source);
+      let modified = false;
+
+      changesList.forEach(changes => {
+        Object.entries(changes).forEach(([topic, hashes]) => {
+          if (Object.keys(hashes).length === 0) {
+            return;
+          }
+          snapshot[topic] = { ...snapshot[topic], ...hashes };
+          modified = true;
+        });
+      });
+
+      if (modified) {
+        fs.mkdirSync(this.dir, { recursive: true });
+        const filePath = this.snapshotPath(source);
+        const tmpPath = `${filePath}.tmp`;
+        fs.writeFileSync(tmpPath, JSON.stringify(snapshot));
+        fs.renameSync(tmpPath, filePath);
+      }
+      return of(undefined);
+    });
+  }
+
+  /**
+   * Carga (una sola vez) el snapshot de una fuente
+   * @param {string} source - Nombre de la fuente
+   * @returns {Object}
+   * @private
+   */
+  loadSnapshot(source) {
+    if (!this.snapshots.has(source)) {
+      const filePath = this.snapshotPath(source);
+      let snapshot = {};
+
+      if (fs.existsSync(filePath)) {
+        try {
+          snapshot = JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+        } catch (error) {
+          logger.error(`[${source}] Snapshot de cambios ilegible, se publicará todo como nuevo: ${error.message}`);
+        }
+      }
+      this.snapshots.set(source, snapshot);
+    }
+    return this.snapshots.get(source);
+  }
+
+  /**
+   * @private
+   */
+  snapshotPath(source) {
+    return path.join(this.dir, `${encodeURIComponent(source)}.json`);
+  }
+
+  /**
+   * Hash del contenido de un registro, independiente del orden de las claves
+   * @param {Object} record - Registro transformado
+   * @param {Array<string>} ignoreFields - Campos de primer nivel a excluir
+   * @returns {string}
+   * @private
+   */
+  hash(record, ignoreFields) {
+    const content = { ...record };
+    ignoreFields.forEach(field => delete content[field]);
+    return crypto.createHash('sha1').update(this.stableStringify(content)).digest('hex');
+  }
+
+  /**
+   * @private
+   */
+  stableStringify(value) {
+    if (Array.isArray(value)) {
+      return `[${value.map(item => this.stableStringify(item)).join(',')}]`;
+    }
+    if (value && typeof value === 'object' && !(value instanceof Date)) {
+      return `{${Object.keys(value).sort()
+        .filter(key => value[key] !== undefined)
+        .map(key => `${JSON.stringify(key)}:${this.stableStringify(value[key])}`)
+        .join(',')}}`;
+    }
+    return JSON.stringify(value);
+  }
+}
+
+module.exports = ChangeDetector;
@@ -0,0 +1,119 @@
+// core/checkpointStore.js
+const logger = require('./logger');
+const FileCheckpointBackend = require('./checkpoints/fileCheckpointBackend');
+const KafkaCheckpointBackend = require('./checkpoints/kafkaCheckpointBackend');
+const { of, throwError } = require('rxjs');
+const { map, tap, catchError } = require('rxjs/operators');
+
+const BACKENDS = {
+  file: FileCheckpointBackend,
+  kafka: KafkaCheckpointBackend
+};
+
+/**
+ * Almacén de checkpoints (cursores de extracción incremental) por fuente
+ * Delega la persistencia en un backend intercambiable: archivo JSON local
+ * o tópico compactado de Kafka.
+ *
+ * Un checkpoint tiene la forma { cursors: { [nombre]: valor }, updatedAt }
+ */
+class CheckpointStore {
+  /**
+   * @param {Object} config - Sección "checkpoint" de sources.json
+   * @param {string} config.type - Backend: 'file' (por defecto) o 'kafka'
+   * @param {Object} kafkaPublisher - Publisher de Kafka (requerido por el backend 'kafka')
+   */
+  constructor(config = {}, kafkaPublisher) {
+    const type = config.type || 'file';
+    const Backend = BACKENDS[type];
+
+    if (!Backend) {
+      throw new Error(`Backend de checkpoints no soportado: ${type}. Disponibles: ${Object.keys(BACKENDS).join(', ')}`);
+    }
+
+    this.type = type;
+    this.backend = new Backend(config, kafkaPublisher);
+  }
+
+  /**
+   * Inicializa el backend (lectura del estado persistido)
+   * @returns {Observable<void>}
+   */
+  init() {
+    return this.backend.init().pipe(
+      catchError(error => {
+        logger.error(`Error inicializando checkpoints (${this.type}): ${error.message}`);
+        return throwError(() => error);
+      })
+    );
+  }
+
+  /**
+   * Obtiene los cursores persistidos de una fuente
+   * @param {string} source - Nombre de la fuente
+   * @returns {Observable<Object>} - { [nombre]: valor }
+   */
+  getCursors(source) {
+    return this.backend.load(source).pipe(
+      map(checkpoint => (checkpoint && checkpoint.cursors) || {})
+    );
+  }
+
+  /**
+   * Persiste los cursores de una fuente
+   * Dentro de una transacción de Kafka el backend 'kafka' escribe el checkpoint
+   * en la misma transacción; los demás lo guardan recién tras el commit.
+   * @param {string} source - Nombre de la fuente
+   * @param {Object} cursors - { [nombre]: valor }
+   * @param {KafkaTransaction} transaction - Transacción de la ejecución (opcional)
+   * @returns {Observable<void>}
+   */
+  commitCursors(source, cursors, transaction = null) {
+    const checkpoint = { cursors, updatedAt: new Date().toISOString() };
+
+    if (transaction && !this.backend.saveInTransaction) {
+      transaction.afterCommit(() => this.commitCursors(source, cursors));
+      return of(undefined);
+    }
+
+    const save$ = transaction
+      ? this.backend.saveInTransaction(source, checkpoint, transaction)
+      : this.backend.save(source, checkpoint);
+
+    return save$.pipe(
+      tap(() => logger.debug(`[${source}] Checkpoint confirmado: ${JSON.stringify(cursors)}`)),
+      catchError(error => {
+        logger.error(`[${source}] Error confirmando checkpoint: ${error.message}`);
+        return throwError(() => error);
+      })
+    );
+  }
+
+  /**
+   * Estado de autenticación persistido de una fuente (por ejemplo, un refresh
+   * token rotado). Se guarda con la key `<fuente>#auth`, aparte del checkpoint.
+   * @param {string} source - Nombre de la fuente
+   * @returns {Observable<Object|null>}
+   */
+  getAuthState(source) {
+    return this.backend.load(`${source}#auth`);
+  }
+
+  /**
+   * @param {string} source - Nombre de la fuente
+   * @param {Object} state - Estado a guardar
+   * @returns {Observable<void>}
+   */
+  saveAuthState(source, state) {
+    return this.backend.save(`${source}#auth`, { ...state, updatedAt: new Date().toISOString() });
+  }
+
+  /**
+   * @returns {Observable<void>}
+   */
+  close() {
+    return this.backend.close ? this.backend.close() : of(undefined);
+  }
+}
+
+module.exports = CheckpointStore;
@@ -0,0 +1,74 @@
+// core/checkpoints/fileCheckpointBackend.js
+const fs = require('fs');
+const path = require('path');
+const { defer, of } = require('rxjs');
+const logger = require('../logger');
+
+/**
+ * Backend de checkpoints sobre un archivo JSON local
+ * Todas las fuentes comparten un único archivo { [source]: checkpoint }.
+ * La escritura es atómica (archivo temporal + rename) para no dejar el
+ * archivo corrupto si el proceso muere a mitad de un commit.
+ */
+class FileCheckpointBackend {
+  /**
+   * @param {Object} options
+   * @param {string} options.path - Ruta del archivo (relativa a la raíz del proyecto)
+   */
+  constructor(options = {}) {
+    this.filePath = path.resolve(path.join(__dirname, '..', '..'), options.path || 'data/checkpoints.json');
+    this.state = {};
+  }
+
+  /**
+   * Lee el archivo de checkpoints si existe
+   * @returns {Observable<void>}
+   */
+  init() {
+    return defer(() => {
+      if (fs.existsSync(this.filePath)) {
+        this.state = JSON.parse(fs.readFileSync(this.filePath, 'utf-8'));
+        logger.info(`Checkpoints cargados desde ${this.filePath} (${Object.keys(this.state).length} fuentes)`);
+      } else {
+        logger.info(`No existe ${this.filePath}, se iniciará sin checkpoints`);
+      }
+      return of(undefined);
+    });
+  }
+
+  /**
+   * Obtiene el checkpoint de una fuente
+   * @param {string} source - Nombre de la fuente
+   * @returns {Observable<Object|null>}
+   */
+  load(source) {
+    return of(this.state[source] || null);
+  }
+
+  /**
+   * Persiste el checkpoint de una fuente
+   * @param {string} source - Nombre de la fuente
+   * @param {Object} checkpoint - Checkpoint a guardar
+   * @returns {Observable<void>}
+   */
+  save(source, checkpoint) {
+    return defer(() => {
+      this.state[source] = checkpoint;
+      fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+
+      const tmpPath = `${this.filePath}.tmp`;
+      fs.writeFileSync(tmpPath, JSON.stringify(this.state, null, 2));
+      fs.renameSync(tmpPath, this.filePath);
+      return of(undefined);
+    });
+  }
+
+  /**
+   * @returns {Observable<void>}
+   */
+  close() {
+    return of(undefined);
+  }
+}
+
+module.exports = FileCheckpointBackend;
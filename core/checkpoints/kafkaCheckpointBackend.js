@@ -0,0 +1,170 @@
+// core/checkpoints/kafkaCheckpointBackend.js
+const { defer, from, of } = require('rxjs');
+const { switchMap, tap, map } = require('rxjs/operators');
+const logger = require('../logger');
+
+// Tiempo máximo (ms) para leer el tópico al arrancar
+const DEFAULT_LOAD_TIMEOUT = 60000;
+
+/**
+ * Backend de checkpoints sobre un tópico compactado de Kafka
+ * Cada fuente se publica con su nombre como key, así la compactación
+ * conserva solo el último checkpoint de cada una.
+ * Reutiliza el cliente y el producer del KafkaPublisher.
+ */
+class KafkaCheckpointBackend {
+  /**
+   * @param {Object} options
+   * @param {string} options.topic - Tópico compactado de checkpoints
+   * @param {number} options.loadTimeout - Tiempo máximo (ms) de la lectura inicial del tópico
+   * @param {Object} kafkaPublisher - Publisher ya conectado
+   */
+  constructor(options = {}, kafkaPublisher) {
+    if (!kafkaPublisher) {
+      throw new Error('KafkaCheckpointBackend requiere una instancia de KafkaPublisher');
+    }
+
+    this.topic = options.topic || 'connector.checkpoints';
+    this.loadTimeout = options.loadTimeout || DEFAULT_LOAD_TIMEOUT;
+    this.kafkaPublisher = kafkaPublisher;
+    this.state = {};
+  }
+
+  /**
+   * Asegura que exista el tópico compactado y lo lee completo hasta el final
+   * @returns {Observable<void>}
+   */
+  init() {
+    const admin = this.kafkaPublisher.kafka.admin();
+
+    return from(admin.connect()).pipe(
+      switchMap(() => from(admin.createTopics({
+        waitForLeaders: true,
+        topics: [{
+          topic: this.topic,
+          configEntries: [{ name: 'cleanup.policy', value: 'compact' }]
+        }]
+      }))),
+      switchMap(() => from(admin.fetchTopicOffsets(this.topic))),
+      switchMap(offsets => from(admin.disconnect()).pipe(map(() => offsets))),
+      switchMap(offsets => this.readUntil(offsets)),
+      tap(() => logger.info(`Checkpoints cargados desde tópico '${this.topic}' (${Object.keys(this.state).length} fuentes)`))
+    );
+  }
+
+  /**
+   * Consume el tópico desde el inicio hasta los high watermarks indicados
+   * Una partición se da por leída con el último offset de cada lote y no con
+   * el último mensaje entregado: los checkpoints guardados en transacciones
+   * terminan con un marcador de commit/abort que kafkajs no entrega a
+   * eachMessage, pero sí cuenta en el lote (END_BATCH_PROCESS).
+   * @param {Array<{partition: number, high: string}>} offsets
+   * @returns {Observable<void>}
+   * @private
+   */
+  readUntil(offsets) {
+    const pending = new Map(
+      offsets
+        .filter(({ high, low }) => Number(high) > Number(low || 0))
+        .map(({ partition, high }) => [partition, Number(high)])
+    );
+
+    if (pending.size === 0) {
+      return of(undefined);
+    }
+
+    return defer(() => new Promise((resolve, reject) => {
+      const consumer = this.kafkaPublisher.kafka.consumer({
+        groupId: `${this.kafkaPublisher.config.clientId || 'base-connector'}-checkpoints-${process.pid}-${Date.now()}`
+      });
+
+      let finished = false;
+      const finish = error => {
+        if (finished) {
+          return;
+        }
+        finished = true;
+        clearTimeout(timeout);
+        removeListener();
+        consumer.disconnect().then(() => (error ? reject(error) : resolve()), reject);
+      };
+
+      const timeout = setTimeout(() => finish(new Error(
+        `Tiempo agotado (${this.loadTimeout}ms) leyendo los checkpoints del tópico '${this.topic}'; ` +
+        `particiones pendientes: ${[...pending.keys()].join(', ')}`
+      )), this.loadTimeout);
+
+      const removeListener = consumer.on(consumer.events.END_BATCH_PROCESS, ({ payload }) => {
+        if (pending.has(payload.partition) && Number(payload.lastOffset) + 1 >= pending.get(payload.partition)) {
+          pending.delete(payload.partition);
+          if (pending.size === 0) {
+            setImmediate(() => finish());
+          }
+        }
+      });
+
+      consumer.connect()
+        .then(() => consumer.subscribe({ topic: this.topic, fromBeginning: true }))
+        .then(() => consumer.run({
+          eachMessage: async ({ message }) => {
+            const source = message.key && message.key.toString();
+            if (source) {
+              this.state[source] = message.value ? JSON.parse(message.value.toString()) : null;
+            }
+          }
+        }))
+        .catch(finish);
+    }));
+  }
+
+  /**
+   * @param {string} source - Nombre de la fuente
+   * @returns {Observable<Object|null>}
+   */
+  load(source) {
+    return of(this.state[source] || null);
+  }
+
+  /**
+   * Publica el checkpoint de la fuente en el tópico compactado
+   * @param {string} source - Nombre de la fuente
+   * @param {Object} checkpoint - Checkpoint a guardar
+   * @returns {Observable<void>}
+   */
+  save(source, checkpoint) {
+    return defer(() => from(this.kafkaPublisher.producer.send({
+      topic: this.topic,
+      messages: [{ key: source, value: JSON.stringify(checkpoint) }]
+    }))).pipe(
+      tap(() => {
+        this.state[source] = checkpoint;
+      }),
+      map(() => undefined)
+    );
+  }
+
+  /**
+   * Publica el checkpoint dentro de una transacción: solo se confirma junto
+   * con los mensajes de la ejecución
+   * @param {string} source - Nombre de la fuente
+   * @param {Object} checkpoint - Checkpoint a guardar
+   * @param {KafkaTransaction} transaction - Transacción abierta
+   * @returns {Observable<void>}
+   */
+  saveInTransaction(source, checkpoint, transaction) {
+    return transaction.send(this.topic, [{ key: source, value: JSON.stringify(checkpoint) }]).pipe(
+      tap(() => transaction.afterCommit(() => {
+        this.state[source] = checkpoint;
+      }))
+    );
+  }
+
+  /**
+   * @returns {Observable<void>}
+   */
+  close() {
+    return of(undefined);
+  }
+}
+
+module.exports = KafkaCheckpointBackend;
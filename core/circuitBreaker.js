@@ -0,0 +1,151 @@
+// core/circuitBreaker.js
+const logger = require('./logger');
+
+/**
+ * Estados del circuito
+ * - closed: las ejecuciones programadas corren normalmente
+ * - open: se omiten hasta que pase el `cooldown`
+ * - half-open: la próxima ejecución es una prueba; si tiene éxito el circuito
+ *   se cierra y si falla se vuelve a abrir
+ */
+const STATES = Object.freeze({
+  CLOSED: 'closed',
+  OPEN: 'open',
+  HALF_OPEN: 'half-open'
+});
+
+/**
+ * Circuit breaker de una fuente
+ * Se abre tras `failureThreshold` ejecuciones consecutivas con errores
+ * recuperables (caídas de red, 5xx, 429), para no agotar los reintentos de
+ * httpClient en cada tick mientras el upstream está caído. Los errores no
+ * recuperables no cuentan: de esos se ocupa la auto-deshabilitación.
+ *
+ * Solo afecta las ejecuciones programadas; las manuales corren igual y su
+ * resultado también cierra o abre el circuito.
+ */
+class CircuitBreaker {
+  /**
+   * @param {boolean|Object} config - Sección "circuitBreaker" de la fuente (false lo deshabilita)
+   * @param {number} config.failureThreshold - Fallos recuperables consecutivos para abrir (por defecto 5)
+   * @param {number} config.cooldown - Ms con el circuito abierto antes de probar (por defecto 5 minutos)
+   * @param {string} source - Nombre de la fuente
+   */
+  constructor(config = {}, source) {
+    const options = typeof config === 'object' && config !== null ? config : {};
+
+    this.enabled = config !== false;
+    this.source = source;
+    this.failureThreshold = options.failureThreshold || 5;
+    this.cooldown = options.cooldown || 300000;
+    this.state = STATES.CLOSED;
+    this.consecutiveFailures = 0;
+    this.openedAt = null;
+    this.lastFailure = null;
+  }
+
+  /**
+   * Indica si una ejecución programada puede correr. Pasado el cooldown el
+   * circuito pasa a half-open y deja correr la ejecución de prueba.
+   * @returns {boolean}
+   */
+  allowExecution() {
+    if (!this.enabled || this.state !== STATES.OPEN) {
+      return true;
+    }
+
+    if (Date.now() < this.nextProbeAt()) {
+      return false;
+    }
+
+    this.state = STATES.HALF_OPEN;
+    logger.info(`[${this.source}] Circuito half-open, se ejecuta una prueba`);
+    return true;
+  }
+
+  /**
+   * Registra una ejecución exitosa: cierra el circuito
+   */
+  recordSuccess() {
+    if (this.state !== STATES.CLOSED) {
+      logger.info(`[${this.source}] Circuito cerrado, la fuente volvió a responder`);
+    }
+    this.state = STATES.CLOSED;
+    this.consecutiveFailures = 0;
+    this.openedAt = null;
+  }
+
+  /**
+   * Registra una ejecución fallida
+   * @param {Object} errorInfo - Resultado de errorHandler.handleStrategyError()
+   */
+  recordFailure(errorInfo) {
+    if (!this.enabled) {
+      return;
+    }
+
+    if (this.state === STATES.HALF_OPEN) {
+      this.lastFailure = errorInfo.message;
+      this.open('falló la ejecución de prueba');
+      return;
+    }
+
+    if (!errorInfo.recoverable) {
+      return;
+    }
+
+    this.consecutiveFailures++;
+    this.lastFailure = errorInfo.message;
+    if (this.state === STATES.CLOSED && this.consecutiveFailures >= this.failureThreshold) {
+      this.open(`${this.consecutiveFailures} fallos recuperables consecutivos`);
+    }
+  }
+
+  /**
+   * @param {string} reason - Motivo (para el log)
+   * @private
+   */
+  open(reason) {
+    this.state = STATES.OPEN;
+    this.openedAt = new Date();
+    logger.warn(`[${this.source}] Circuito abierto (${reason}), se omiten las ejecuciones programadas hasta ${new Date(this.nextProbeAt()).toISOString()}: ${this.lastFailure}`);
+  }
+
+  /**
+   * @returns {number|null} - Timestamp a partir del cual se prueba la fuente
+   * @private
+   */
+  nextProbeAt() {
+    return this.openedAt ? this.openedAt.getTime() + this.cooldown : null;
+  }
+
+  /**
+   * Conserva el estado de otra instancia (recarga de configuración)
+   * @param {CircuitBreaker} previous
+   */
+  inherit(previous) {
+    this.state = previous.state;
+    this.consecutiveFailures = previous.consecutiveFailures;
+    this.openedAt = previous.openedAt;
+    this.lastFailure = previous.lastFailure;
+  }
+
+  /**
+   * @returns {Object}
+   */
+  getStatus() {
+    return {
+      enabled: this.enabled,
+      state: this.state,
+      consecutiveFailures: this.consecutiveFailures,
+      failureThreshold: this.failureThreshold,
+      openedAt: this.openedAt,
+      nextProbeAt: this.state === STATES.OPEN ? new Date(this.nextProbeAt()) : null,
+      lastFailure: this.lastFailure
+    };
+  }
+}
+
+CircuitBreaker.STATES = STATES;
+
+module.exports = CircuitBreaker;
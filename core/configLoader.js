@@ -0,0 +1,106 @@
+// core/configLoader.js
+const fs = require('fs');
+const path = require('path');
+const logger = require('./logger');
+const secretResolver = require('../utils/secretResolver');
+const ConfigValidator = require('./configValidator');
+
+/**
+ * Carga y vigila el archivo de configuración de fuentes (config/sources.json)
+ * Los valores pueden referenciar secretos con `${env:VARIABLE}` o
+ * `${file:/ruta}`; se resuelven al cargar (ver utils/secretResolver).
+ */
+class ConfigLoader {
+  /**
+   * @param {string} configPath - Ruta al archivo de configuración
+   * @param {ConfigValidator} validator - Validador de schema (por defecto uno nuevo)
+   */
+  constructor(configPath = path.join(__dirname, '..', 'config', 'sources.json'), validator = new ConfigValidator()) {
+    this.configPath = configPath;
+    this.validator = validator;
+    this.watcher = null;
+    this.debounceTimer = null;
+  }
+
+  /**
+   * Lee, parsea, resuelve los secretos y valida la configuración
+   * @param {Object} options
+   * @param {boolean} options.resolveSecrets - Resolver las referencias a secretos (por defecto true)
+   * @returns {Object}
+   * @throws {Error} Si el archivo no existe, no es JSON válido, tiene referencias sin resolver o no cumple el schema
+   */
+  load(options = {}) {
+    const rawData = fs.readFileSync(this.configPath, 'utf-8');
+    const parsed = JSON.parse(rawData);
+    const config = options.resolveSecrets === false ? parsed : this.resolveSecrets(parsed);
+    this.validate(config);
+    return config;
+  }
+
+  /**
+   * Resuelve los secretos de la configuración. En las fuentes con
+   * `enabled: false` no son obligatorios: se resuelven los disponibles y el
+   * resto queda como referencia, y la fuente no puede habilitarse ni
+   * ejecutarse hasta que se definan (ver Scheduler.assertSecretsResolved()).
+   * @param {Object} parsed - Configuración sin resolver
+   * @returns {Object}
+   * @private
+   */
+  resolveSecrets(parsed) {
+    const disabled = new Set((Array.isArray(parsed.sources) ? parsed.sources : [])
+      .map((source, index) => (source && source.enabled === false ? `sources[${index}]` : null))
+      .filter(Boolean));
+
+    return secretResolver.resolve(parsed, path.basename(this.configPath), {
+      optional: location => disabled.has(location.split('.')[0])
+    });
+  }
+
+  /**
+   * Valida la configuración contra el schema común y el de cada estrategia
+   * @param {Object} config - Configuración parseada
+   * @throws {Error} Con todos los errores encontrados y la ruta de cada uno
+   */
+  validate(config) {
+    this.validator.assertValid(this.validator.validateSources(config), path.basename(this.configPath));
+  }
+
+  /**
+   * Vigila el archivo y ejecuta el callback cuando cambia
+   * Se observa el directorio para detectar también los reemplazos atómicos
+   * (rename) que hacen muchos editores y los ConfigMap de Kubernetes.
+   * @param {Function} onChange - Callback invocado tras un cambio
+   * @param {number} debounceMs - Espera para agrupar eventos consecutivos
+   */
+  watch(onChange, debounceMs = 500) {
+    if (this.watcher) {
+      return;
+    }
+
+    const fileName = path.basename(this.configPath);
+
+    this.watcher = fs.watch(path.dirname(this.configPath), (eventType, changedFile) => {
+      if (changedFile && changedFile !== fileName) {
+        return;
+      }
+
+      clearTimeout(this.debounceTimer);
+      this.debounceTimer = setTimeout(onChange, debounceMs);
+    });
+
+    logger.info(`Vigilando cambios en ${this.configPath}`);
+  }
+
+  /**
+   * Deja de vigilar el archivo
+   */
+  unwatch() {
+    clearTimeout(this.debounceTimer);
+    if (this.watcher) {
+      this.watcher.close();
+      this.watcher = null;
+    }
+  }
+}
+
+module.exports = ConfigLoader;
@@ -0,0 +1,422 @@
+// core/configValidator.js
+const Ajv = require('ajv');
+const StrategyFactory = require('./strategyFactory');
+const SinkRouter = require('./sinkRouter');
+const SourceSchedule = require('./sourceSchedule');
+
+const positiveInteger = { type: 'integer', minimum: 1 };
+const stringMap = { type: 'object', additionalProperties: { type: 'string' } };
+
+/**
+ * Campos comunes a todas las fuentes (ver BaseStrategy y SourceSchedule)
+ * Los campos propios de cada tipo los valida el `configSchema` de su clase.
+ */
+const SOURCE_SCHEMA = {
+  type: 'object',
+  required: ['name', 'type'],
+  properties: {
+    name: { type: 'string', minLength: 1 },
+    type: { type: 'string' },
+    enabled: { type: 'boolean' },
+    url: { type: 'string', pattern: '^https?://' },
+    interval: { type: 'integer', minimum: 1000 },
+    schedule: { type: 'string', minLength: 1 },
+    timezone: { type: 'string' },
+    blackoutWindows: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['start', 'end'],
+        properties: {
+          start: { type: 'string', pattern: '^\\d{1,2}:\\d{2}$' },
+          end: { type: 'string', pattern: '^\\d{1,2}:\\d{2}$' },
+          days: { type: 'array', items: { type: 'integer', minimum: 0, maximum: 6 } }
+        }
+      }
+    },
+    auth: {
+      type: ['object', 'null'],
+      properties: {
+        type: { type: 'string' }
+      }
+    },
+    mapping: { type: 'object' },
+    maxFatalErrors: positiveInteger,
+    maxPages: positiveInteger,
+    kafkaTopic: { type: 'string', minLength: 1 },
+    topics: stringMap,
+    sinks: { type: 'array', minItems: 1, items: { type: 'string', minLength: 1 } },
+    circuitBreaker: {
+      type: ['boolean', 'object'],
+      properties: {
+        failureThreshold: positiveInteger,
+        cooldown: { type: 'integer', minimum: 1000 }
+      },
+      additionalProperties: false
+    },
+    rateLimit: {
+      type: 'object',
+      properties: {
+        requestsPerSecond: { type: 'number', exclusiveMinimum: 0 },
+        requestsPerMinute: { type: 'number', exclusiveMinimum: 0 },
+        burst: positiveInteger,
+        scope: { enum: ['source', 'host'] }
+      },
+      additionalProperties: false
+    },
+    changeDetection: {
+      type: ['boolean', 'object'],
+      properties: { ignoreFields: { type: 'array', items: { type: 'string' } } },
+      additionalProperties: false
+    }
+  }
+};
+
+/**
+ * Estructura de config/sources.json (secciones globales)
+ */
+const SOURCES_FILE_SCHEMA = {
+  type: 'object',
+  required: ['sources'],
+  properties: {
+    checkpoint: {
+      type: 'object',
+      properties: {
+        type: { enum: ['file', 'kafka'] },
+        path: { type: 'string' },
+        topic: { type: 'string' },
+        loadTimeout: { type: 'integer', minimum: 1 }
+      }
+    },
+    deadLetter: {
+      type: 'object',
+      properties: {
+        enabled: { type: 'boolean' },
+        type: { enum: ['file', 'kafka'] },
+        topic: { type: 'string' },
+        path: { type: 'string' }
+      }
+    },
+    outbox: {
+      type: 'object',
+      properties: {
+        enabled: { type: 'boolean' },
+        path: { type: 'string' },
+        segmentMaxBytes: positiveInteger,
+        maxBytes: positiveInteger,
+        drainInterval: positiveInteger,
+        maxAttempts: positiveInteger
+      }
+    },
+    changeDetection: {
+      type: 'object',
+      properties: { path: { type: 'string' } }
+    },
+    admin: {
+      type: 'object',
+      properties: {
+        enabled: { type: 'boolean' },
+        port: { type: 'integer', minimum: 1, maximum: 65535 },
+        host: { type: 'string' },
+        token: { type: ['string', 'null'] },
+        metricsAuth: { type: 'boolean' },
+        maxBodyBytes: positiveInteger
+      }
+    },
+    reload: {
+      type: 'object',
+      properties: {
+        watch: { type: 'boolean' },
+        debounceMs: { type: 'integer', minimum: 0 }
+      }
+    },
+    sinks: {
+      type: 'object',
+      additionalProperties: {
+        type: 'object',
+        required: ['type'],
+        properties: { type: { type: 'string' } }
+      }
+    },
+    sources: { type: 'array', minItems: 1, items: { type: 'object' } }
+  }
+};
+
+/**
+ * Estructura de config/kafka.json (opciones que usa KafkaPublisher)
+ */
+const KAFKA_SCHEMA = {
+  type: 'object',
+  required: ['brokers'],
+  properties: {
+    clientId: { type: 'string', minLength: 1 },
+    brokers: { type: 'array', minItems: 1, items: { type: 'string', pattern: '^[^\\s:]+:\\d+$' } },
+    logLevel: { enum: ['NOTHING', 'ERROR', 'WARN', 'INFO', 'DEBUG', 'nothing', 'error', 'warn', 'info', 'debug'] },
+    retry: {
+      type: 'object',
+      properties: {
+        initialRetryTime: positiveInteger,
+        retries: { type: 'integer', minimum: 0 }
+      }
+    },
+    producer: {
+      type: 'object',
+      properties: {
+        partitioner: { enum: ['default', 'legacy'] },
+        maxInFlightRequests: positiveInteger,
+        idempotent: { type: 'boolean' },
+        transactionalId: { type: ['string', 'null'] },
+        instanceId: { type: 'string', minLength: 1 },
+        transactionTimeout: positiveInteger
+      }
+    },
+    publish: {
+      type: 'object',
+      properties: {
+        maxRecords: positiveInteger,
+        maxBytes: positiveInteger,
+        concurrency: positiveInteger,
+        oversized: { enum: ['dlq', 'compress', 'split'] }
+      }
+    },
+    ssl: { type: ['boolean', 'object'] },
+    sasl: {
+      type: 'object',
+      required: ['mechanism'],
+      properties: {
+        mechanism: { enum: ['plain', 'scram-sha-256', 'scram-sha-512', 'aws', 'oauthbearer'] },
+        username: { type: 'string' },
+        password: { type: 'string' }
+      }
+    }
+  }
+};
+
+/**
+ * Valida los archivos de configuración contra su schema (JSON Schema, ajv)
+ * Cada error se informa con la ruta del campo, por ejemplo
+ * `sources[2] (chatwoot).interval: debe ser de tipo integer`.
+ *
+ * Las estrategias aportan el schema de sus campos propios con la propiedad
+ * estática `configSchema`.
+ */
+class ConfigValidator {
+  /**
+   * @param {StrategyFactory} strategyFactory - Origen de las clases de estrategia (por defecto una nueva)
+   */
+  constructor(strategyFactory = null) {
+    this.strategyFactory = strategyFactory;
+    this.ajv = new Ajv({ allErrors: true, strict: false });
+    this.validators = new Map();
+  }
+
+  /**
+   * Valida la configuración de fuentes
+   * @param {Object} config - Contenido de sources.json
+   * @returns {Array<string>} - Errores encontrados (vacío si es válida)
+   */
+  validateSources(config) {
+    const errors = this.check(SOURCES_FILE_SCHEMA, config, '');
+    if (!config || !Array.isArray(config.sources)) {
+      return errors;
+    }
+
+    const factory = this.getStrategyFactory();
+    const sinkNames = this.validateSinks(config.sinks, errors);
+    const names = new Set();
+
+    config.sources.forEach((source, index) => {
+      if (!source || typeof source !== 'object') {
+        return;
+      }
+
+      const location = `sources[${index}]${source.name ? ` (${source.name})` : ''}`;
+      const sourceErrors = this.check(SOURCE_SCHEMA, source, location);
+      errors.push(...sourceErrors);
+
+      // Expresión cron, zona horaria y formato de las ventanas de bloqueo
+      if (sourceErrors.length === 0) {
+        try {
+          new SourceSchedule(source);
+        } catch (error) {
+          errors.push(`${location}: planificación inválida: ${error.message}`);
+        }
+      }
+
+      if (source.name && names.has(source.name)) {
+        errors.push(`${location}.name: nombre duplicado '${source.name}'`);
+      }
+      names.add(source.name);
+
+      if (Array.isArray(source.sinks)) {
+        source.sinks
+          .filter(sink => typeof sink === 'string' && !sinkNames.includes(sink))
+          .forEach(sink => errors.push(`${location}.sinks: sink '${sink}' no definido. Disponibles: ${sinkNames.join(', ')}`));
+      }
+
+      if (typeof source.type !== 'string') {
+        return;
+      }
+      if (!factory.hasStrategy(source.type)) {
+        errors.push(`${location}.type: estrategia '${source.type}' no encontrada. Disponibles: ${factory.listAvailableStrategies().join(', ')}`);
+        return;
+      }
+
+      const { configSchema } = factory.getStrategyClass(source.type);
+      if (configSchema) {
+        errors.push(...this.check(configSchema, source, location));
+      }
+    });
+
+    return errors;
+  }
+
+  /**
+   * Valida las definiciones de la sección "sinks" con el `configSchema` de su tipo
+   * @param {Object} sinks - Sección "sinks" de sources.json
+   * @param {Array<string>} errors - Lista donde se agregan los errores
+   * @returns {Array<string>} - Nombres de sinks disponibles para las fuentes
+   * @private
+   */
+  validateSinks(sinks, errors) {
+    const definitions = sinks && typeof sinks === 'object' ? sinks : {};
+
+    Object.entries(definitions).forEach(([name, definition]) => {
+      if (!definition || typeof definition.type !== 'string') {
+        return;
+      }
+
+      const Sink = SinkRouter.getSinkClass(definition.type);
+      if (!Sink) {
+        errors.push(`sinks.${name}.type: tipo de sink '${definition.type}' no soportado`);
+      } else if (Sink.configSchema) {
+        errors.push(...this.check(Sink.configSchema, definition, `sinks.${name}`));
+      }
+    });
+
+    return [...new Set([...SinkRouter.BUILT_IN_SINKS, ...Object.keys(definitions)])];
+  }
+
+  /**
+   * Valida la configuración de Kafka
+   * @param {Object} config - Contenido de kafka.json
+   * @returns {Array<string>}
+   */
+  validateKafka(config) {
+    return this.check(KAFKA_SCHEMA, config, '');
+  }
+
+  /**
+   * Lanza un error con todos los problemas encontrados
+   * @param {Array<string>} errors - Resultado de validateSources() o validateKafka()
+   * @param {string} fileName - Archivo validado
+   * @throws {Error}
+   */
+  assertValid(errors, fileName) {
+    if (errors.length > 0) {
+      throw new Error(`Configuración inválida en ${fileName} (${errors.length} errores):\n  - ${errors.join('\n  - ')}`);
+    }
+  }
+
+  /**
+   * @private
+   */
+  check(schema, data, location) {
+    if (!this.validators.has(schema)) {
+      this.validators.set(schema, this.ajv.compile(schema));
+    }
+
+    const validate = this.validators.get(schema);
+    if (validate(data)) {
+      return [];
+    }
+    return validate.errors
+      // `if` solo indica que falló el `then`, cuyos errores ya se informan
+      .filter(error => error.keyword !== 'if' && !this.isSecretReference(data, error))
+      .map(error => this.formatError(error, location));
+  }
+
+  /**
+   * Los valores con referencias a secretos sin resolver (`${env:X}`) solo se
+   * validan una vez resueltos
+   * @private
+   */
+  isSecretReference(data, error) {
+    const value = this.pathSegments(error).reduce((current, segment) => (current == null ? current : current[segment]), data);
+    return typeof value === 'string' && /\$\{\w+:[^}]+\}/.test(value);
+  }
+
+  /**
+   * @private
+   */
+  pathSegments(error) {
+    return error.instancePath.split('/').slice(1)
+      .map(segment => segment.replace(/~1/g, '/').replace(/~0/g, '~'));
+  }
+
+  /**
+   * Convierte un error de ajv a `ruta: mensaje`
+   * @private
+   */
+  formatError(error, location) {
+    const segments = this.pathSegments(error);
+
+    if (error.keyword === 'required') {
+      segments.push(error.params.missingProperty);
+    }
+    if (error.keyword === 'additionalProperties') {
+      segments.push(error.params.additionalProperty);
+    }
+
+    const fieldPath = segments.reduce((result, segment) => (
+      /^\d+$/.test(segment) ? `${result}[${segment}]` : `${result}${result ? '.' : ''}${segment}`
+    ), location) || '(raíz)';
+
+    return `${fieldPath}: ${this.describe(error)}`;
+  }
+
+  /**
+   * @private
+   */
+  describe({ keyword, params, message }) {
+    switch (keyword) {
+      case 'required':
+        return 'campo requerido';
+      case 'type':
+        return `debe ser de tipo ${[].concat(params.type).join(' o ')}`;
+      case 'enum':
+        return `valor no permitido. Opciones: ${params.allowedValues.join(', ')}`;
+      case 'minimum':
+        return `debe ser mayor o igual a ${params.limit}`;
+      case 'exclusiveMinimum':
+        return `debe ser mayor a ${params.limit}`;
+      case 'maximum':
+        return `debe ser menor o igual a ${params.limit}`;
+      case 'minLength':
+        return 'no puede estar vacío';
+      case 'minItems':
+        return `debe tener al menos ${params.limit} elementos`;
+      case 'pattern':
+        return `formato inválido (patrón ${params.pattern})`;
+      case 'additionalProperties':
+        return 'campo no soportado';
+      case 'anyOf':
+      case 'oneOf':
+        return 'no coincide con ninguna de las formas admitidas';
+      default:
+        return message;
+    }
+  }
+
+  /**
+   * @private
+   */
+  getStrategyFactory() {
+    if (!this.strategyFactory) {
+      this.strategyFactory = new StrategyFactory();
+    }
+    return this.strategyFactory;
+  }
+}
+
+module.exports = ConfigValidator;
@@ -0,0 +1,167 @@
+// core/deadLetterQueue.js
+const logger = require('./logger');
+const secretResolver = require('../utils/secretResolver');
+const FileDeadLetterBackend = require('./deadLetters/fileDeadLetterBackend');
+const KafkaDeadLetterBackend = require('./deadLetters/kafkaDeadLetterBackend');
+const { of, from, throwError } = require('rxjs');
+const { map, tap, catchError, concatMap, toArray } = require('rxjs/operators');
+
+const BACKENDS = {
+  file: FileDeadLetterBackend,
+  kafka: KafkaDeadLetterBackend
+};
+
+/**
+ * Dead letter queue para lotes que fallan al transformarse o publicarse
+ * Delega la persistencia en un backend: tópico de Kafka o archivo NDJSON local.
+ *
+ * Formato de cada entrada:
+ * {
+ *   source, type,            // fuente que generó los datos
+ *   stage,                   // 'transform' (payload crudo) o 'publish' (payload transformado)
+ *   originalTopic,           // tópico destino (solo stage 'publish')
+ *   attempt,                 // número de intento en que falló
+ *   error: { message, type, code, statusCode },
+ *   failedAt,
+ *   payload
+ * }
+ */
+class DeadLetterQueue {
+  /**
+   * @param {Object} config - Sección "deadLetter" de sources.json
+   * @param {string} config.type - Backend: 'kafka' (por defecto) o 'file'
+   * @param {Object} kafkaPublisher - Publisher de Kafka (requerido por el backend 'kafka')
+   */
+  constructor(config = {}, kafkaPublisher) {
+    const type = config.type || 'kafka';
+    const Backend = BACKENDS[type];
+
+    if (!Backend) {
+      throw new Error(`Backend de dead letters no soportado: ${type}. Disponibles: ${Object.keys(BACKENDS).join(', ')}`);
+    }
+
+    this.type = type;
+    this.backend = new Backend(config, kafkaPublisher);
+  }
+
+  /**
+   * @returns {Observable<void>}
+   */
+  init() {
+    return this.backend.init();
+  }
+
+  /**
+   * Envía un payload fallido a la DLQ. Nunca emite error: si la DLQ también
+   * falla se registra en el log para no ocultar el error original.
+   * @param {Object} params
+   * @param {string} params.source - Nombre de la fuente
+   * @param {string} params.type - Tipo de la fuente
+   * @param {string} params.stage - 'transform' o 'publish'
+   * @param {string} params.originalTopic - Tópico destino original
+   * @param {*} params.payload - Datos que no pudieron procesarse
+   * @param {Error} params.error - Error original
+   * @param {number} params.attempt - Número de intento
+   * @returns {Observable<boolean>} - true si la entrada quedó persistida
+   */
+  send({ source, type, stage, originalTopic = null, payload, error, attempt = 1 }) {
+    const entry = {
+      source,
+      type,
+      stage,
+      originalTopic,
+      attempt,
+      error: {
+        message: secretResolver.redact(error.message),
+        type: error.constructor.name,
+        code: error.code || null,
+        statusCode: error.statusCode || null
+      },
+      failedAt: new Date().toISOString(),
+      payload
+    };
+
+    return this.backend.send(entry).pipe(
+      tap(() => logger.warn(`[${source}] Lote enviado a dead letters (${this.type}, etapa ${stage}, intento ${attempt})`)),
+      map(() => true),
+      catchError(dlqError => {
+        logger.error(`[${source}] No se pudo escribir en dead letters: ${dlqError.message}`);
+        return of(false);
+      })
+    );
+  }
+
+  /**
+   * Re-publica las entradas en sus tópicos originales
+   * - stage 'publish': se publica el payload tal cual en originalTopic.
+   * - stage 'transform': se vuelve a transformar con la estrategia de la fuente.
+   * Las entradas que vuelven a fallar se reenvían a la DLQ con attempt + 1;
+   * las excluidas por el filtro se reenvían sin cambios.
+   * @param {Object} publisher - Publisher con la interfaz de KafkaPublisher.publish() (por ejemplo, SinkRouter)
+   * @param {Map<string, BaseStrategy>} strategies - Estrategias por nombre de fuente
+   * @param {Object} options
+   * @param {string} options.source - Solo re-publicar entradas de esta fuente
+   * @returns {Observable<{replayed: number, failed: number, skipped: number}>}
+   */
+  replay(publisher, strategies, options = {}) {
+    const summary = { replayed: 0, failed: 0, skipped: 0 };
+
+    const handleEntry = entry => {
+      if (options.source && entry.source !== options.source) {
+        summary.skipped++;
+        return this.backend.send(entry);
+      }
+
+      return this.replayEntry(entry, publisher, strategies).pipe(
+        tap(() => {
+          summary.replayed++;
+          logger.info(`[${entry.source}] Dead letter re-publicada (etapa ${entry.stage}, intento ${entry.attempt})`);
+        }),
+        catchError(error => {
+          summary.failed++;
+          logger.error(`[${entry.source}] Falló el replay de dead letter: ${error.message}`);
+          return this.send({ ...entry, error, attempt: entry.attempt + 1 });
+        })
+      );
+    };
+
+    return this.backend.drain(handleEntry).pipe(map(() => summary));
+  }
+
+  /**
+   * Re-publica una entrada
+   * @returns {Observable<void>}
+   * @private
+   */
+  replayEntry(entry, publisher, strategies) {
+    const metadata = { source: entry.source, type: entry.type };
+
+    if (entry.stage !== 'transform') {
+      return publisher.publish(entry.originalTopic, entry.payload, metadata);
+    }
+
+    const strategy = strategies.get(entry.source);
+    if (!strategy) {
+      return throwError(() => new Error(`Fuente '${entry.source}' no configurada, no se puede re-transformar`));
+    }
+
+    return of(undefined).pipe(
+      map(() => strategy.getPublishBatches(strategy.transform(entry.payload))),
+      concatMap(batches => from(batches.filter(batch => !Array.isArray(batch.records) || batch.records.length > 0))),
+      concatMap(batch => publisher.publish(batch.topic, batch.records, {
+        source: entry.source,
+        type: batch.type || entry.type
+      })),
+      toArray()
+    );
+  }
+
+  /**
+   * @returns {Observable<void>}
+   */
+  close() {
+    return this.backend.close();
+  }
+}
+
+module.exports = DeadLetterQueue;
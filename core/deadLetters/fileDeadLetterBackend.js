@@ -0,0 +1,78 @@
+// core/deadLetters/fileDeadLetterBackend.js
+const fs = require('fs');
+const path = require('path');
+const { defer, of, from } = require('rxjs');
+const { concatMap, count, tap } = require('rxjs/operators');
+const logger = require('../logger');
+
+/**
+ * Backend de dead letters sobre un archivo NDJSON local (una entrada por línea)
+ */
+class FileDeadLetterBackend {
+  /**
+   * @param {Object} options
+   * @param {string} options.path - Ruta del archivo (relativa a la raíz del proyecto)
+   */
+  constructor(options = {}) {
+    this.filePath = path.resolve(path.join(__dirname, '..', '..'), options.path || 'data/dead-letters.ndjson');
+  }
+
+  /**
+   * @returns {Observable<void>}
+   */
+  init() {
+    return of(undefined);
+  }
+
+  /**
+   * Agrega una entrada al archivo
+   * @param {Object} entry - Entrada de dead letter
+   * @returns {Observable<void>}
+   */
+  send(entry) {
+    return defer(() => {
+      fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+      fs.appendFileSync(this.filePath, `${JSON.stringify(entry)}\n`);
+      return of(undefined);
+    });
+  }
+
+  /**
+   * Consume todas las entradas actuales. El archivo se renombra antes de leerlo,
+   * así las entradas que vuelvan a fallar durante el replay quedan en uno nuevo.
+   * @param {Function} handler - (entry) => Observable, se invoca en orden
+   * @returns {Observable<number>} - Cantidad de entradas procesadas
+   */
+  drain(handler) {
+    return defer(() => {
+      if (!fs.existsSync(this.filePath)) {
+        return of(0);
+      }
+
+      const replayingPath = `${this.filePath}.replaying-${Date.now()}`;
+      fs.renameSync(this.filePath, replayingPath);
+      logger.info(`Procesando dead letters desde ${replayingPath}`);
+
+      const entries = fs.readFileSync(replayingPath, 'utf-8')
+        .split('\n')
+        .filter(line => line.trim() !== '')
+        .map(line => JSON.parse(line));
+
+      return from(entries).pipe(
+        concatMap(entry => handler(entry)),
+        count(),
+        // Ante un error (o si el proceso muere) el archivo .replaying queda para revisión manual
+        tap({ complete: () => fs.unlinkSync(replayingPath) })
+      );
+    });
+  }
+
+  /**
+   * @returns {Observable<void>}
+   */
+  close() {
+    return of(undefined);
+  }
+}
+
+module.exports = FileDeadLetterBackend;
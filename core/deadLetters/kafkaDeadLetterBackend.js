@@ -0,0 +1,147 @@
+// core/deadLetters/kafkaDeadLetterBackend.js
+const { defer, from, of, lastValueFrom } = require('rxjs');
+const { switchMap, map } = require('rxjs/operators');
+const logger = require('../logger');
+
+/**
+ * Backend de dead letters sobre un tópico de Kafka
+ * Reutiliza el cliente y el producer del KafkaPublisher. El replay usa un
+ * consumer group fijo, así cada entrada se procesa una sola vez.
+ */
+class KafkaDeadLetterBackend {
+  /**
+   * @param {Object} options
+   * @param {string} options.topic - Tópico DLQ
+   * @param {string} options.replayGroupId - Consumer group usado por el replay
+   * @param {Object} kafkaPublisher - Publisher ya conectado
+   */
+  constructor(options = {}, kafkaPublisher) {
+    if (!kafkaPublisher) {
+      throw new Error('KafkaDeadLetterBackend requiere una instancia de KafkaPublisher');
+    }
+
+    this.topic = options.topic || 'connector.dlq';
+    this.kafkaPublisher = kafkaPublisher;
+    this.groupId = options.replayGroupId || `${kafkaPublisher.config.clientId || 'base-connector'}-dlq-replay`;
+  }
+
+  /**
+   * @returns {Observable<void>}
+   */
+  init() {
+    return of(undefined);
+  }
+
+  /**
+   * Publica una entrada en el tópico DLQ
+   * @param {Object} entry - Entrada de dead letter
+   * @returns {Observable<void>}
+   */
+  send(entry) {
+    return defer(() => from(this.kafkaPublisher.producer.send({
+      topic: this.topic,
+      messages: [{
+        key: entry.source,
+        value: JSON.stringify(entry),
+        headers: {
+          source: entry.source,
+          stage: entry.stage,
+          originalTopic: entry.originalTopic || '',
+          attempt: String(entry.attempt)
+        }
+      }]
+    }))).pipe(map(() => undefined));
+  }
+
+  /**
+   * Consume las entradas pendientes del consumer group de replay hasta el
+   * final del tópico al momento de iniciar. Los offsets se confirman a medida
+   * que cada entrada se procesa.
+   * @param {Function} handler - (entry) => Observable, se invoca en orden por partición
+   * @returns {Observable<number>} - Cantidad de entradas procesadas
+   */
+  drain(handler) {
+    const admin = this.kafkaPublisher.kafka.admin();
+
+    return from(admin.connect()).pipe(
+      switchMap(() => Promise.all([
+        admin.fetchTopicOffsets(this.topic),
+        admin.fetchOffsets({ groupId: this.groupId, topics: [this.topic] })
+      ])),
+      switchMap(([topicOffsets, groupOffsets]) => from(admin.disconnect()).pipe(
+        map(() => this.pendingPartitions(topicOffsets, groupOffsets))
+      )),
+      switchMap(pending => (pending.size === 0 ? of(0) : this.consume(pending, handler)))
+    );
+  }
+
+  /**
+   * Calcula, por partición, el offset final a alcanzar
+   * @returns {Map<number, number>}
+   * @private
+   */
+  pendingPartitions(topicOffsets, groupOffsets) {
+    const committed = new Map(
+      (groupOffsets[0]?.partitions || []).map(({ partition, offset }) => [partition, Number(offset)])
+    );
+
+    return new Map(
+      topicOffsets
+        .filter(({ partition, high, low }) => {
+          const start = committed.get(partition) >= 0 ? committed.get(partition) : Number(low);
+          return start < Number(high);
+        })
+        .map(({ partition, high }) => [partition, Number(high)])
+    );
+  }
+
+  /**
+   * @returns {Observable<number>}
+   * @private
+   */
+  consume(pending, handler) {
+    return defer(() => new Promise((resolve, reject) => {
+      const consumer = this.kafkaPublisher.kafka.consumer({ groupId: this.groupId });
+      let processed = 0;
+
+      const finish = error => consumer.disconnect().then(() => (error ? reject(error) : resolve(processed)), reject);
+
+      consumer.connect()
+        .then(() => consumer.subscribe({ topic: this.topic, fromBeginning: true }))
+        .then(() => consumer.run({
+          eachMessage: async ({ partition, message }) => {
+            if (!pending.has(partition)) {
+              return;
+            }
+
+            await lastValueFrom(handler(JSON.parse(message.value.toString())), { defaultValue: undefined });
+            processed++;
+
+            if (Number(message.offset) + 1 >= pending.get(partition)) {
+              pending.delete(partition);
+              if (pending.size === 0) {
+                // El offset del último mensaje se confirma al salir de eachMessage
+                setImmediate(() => consumer.commitOffsets([{
+                  topic: this.topic,
+                  partition,
+                  offset: String(Number(message.offset) + 1)
+                }]).then(() => finish(), finish));
+              }
+            }
+          }
+        }))
+        .catch(finish);
+
+      logger.info(`Procesando dead letters desde tópico '${this.topic}' (group ${this.groupId})`);
+    }));
+  }
+
+  /**
+   * @returns {Observable<void>}
+   */
+  close() {
+    return of(undefined);
+  }
+}
+
+module.exports = KafkaDeadLetterBackend;
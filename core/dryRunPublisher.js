@@ -0,0 +1,48 @@
+// core/dryRunPublisher.js
+const { tap } = require('rxjs/operators');
+const StdoutSink = require('./sinks/stdoutSink');
+
+/**
+ * Publisher de prueba: en lugar de enviar a Kafka escribe cada mensaje, con
+ * el mismo formato que KafkaPublisher (key, headers, value), como una línea
+ * NDJSON { topic, key, headers, value } en un stream (ver StdoutSink).
+ * Misma interfaz que KafkaPublisher.publish().
+ */
+class DryRunPublisher {
+  /**
+   * @param {KafkaPublisher} kafkaPublisher - Publisher usado solo para formatear los mensajes
+   * @param {stream.Writable} stream - Destino (stdout o un archivo)
+   */
+  constructor(kafkaPublisher, stream) {
+    this.sink = new StdoutSink({}, { kafkaPublisher, stream });
+    this.topics = new Map();
+  }
+
+  /**
+   * @param {string} topic - Tópico destino
+   * @param {Object|Array} data - Datos a publicar
+   * @param {Object} metadata - Metadata (source, type)
+   * @returns {Observable<void>}
+   */
+  publish(topic, data, metadata = {}) {
+    const count = Array.isArray(data) ? data.length : 1;
+
+    return this.sink.publish(topic, data, metadata).pipe(
+      tap(() => {
+        if (count > 0) {
+          this.topics.set(topic, (this.topics.get(topic) || 0) + count);
+        }
+      })
+    );
+  }
+
+  /**
+   * Mensajes escritos por tópico
+   * @returns {Object} - { [tópico]: cantidad }
+   */
+  getSummary() {
+    return Object.fromEntries(this.topics);
+  }
+}
+
+module.exports = DryRunPublisher;
@@ -1,33 +1,73 @@
 // core/kafkaPublisher.js
-const { Kafka, Partitioners, logLevel } = require('kafkajs');
-const { Observable, from, forkJoin, throwError, of } = require('rxjs');
-const { map, switchMap, catchError, tap, mergeMap } = require('rxjs/operators');
+const { Kafka, Partitioners, CompressionTypes, logLevel } = require('kafkajs');
+const { Observable, from, forkJoin, throwError, of, defer } = require('rxjs');
+const { map, switchMap, catchError, tap, mergeMap, concatMap, toArray } = require('rxjs/operators');
 const logger = require('./logger');
 const dataFormatter = require('../utils/dataFormatter');
+const secretResolver = require('../utils/secretResolver');
+const ConfigValidator = require('./configValidator');
+const metrics = require('./metrics');
+const KafkaTransaction = require('./kafkaTransaction');
 const fs = require('fs');
+const os = require('os');
 const path = require('path');
+const zlib = require('zlib');
+const crypto = require('crypto');
+
+/**
+ * Límites de cada envío al broker (sección "publish" de kafka.json)
+ * - maxRecords / maxBytes: mensajes y bytes por producer.send()
+ * - concurrency: envíos en paralelo (1 conserva el orden entre lotes)
+ * - oversized: qué hacer con un mensaje que solo ya supera maxBytes
+ *   ('dlq', 'compress' o 'split')
+ */
+const PUBLISH_DEFAULTS = Object.freeze({
+  maxRecords: 1000,
+  maxBytes: 900000,
+  concurrency: 1,
+  oversized: 'dlq'
+});
+
+// Bytes estimados del encabezado de cada record, además de key, value y headers
+const RECORD_OVERHEAD = 64;
 
 /**
  * Publisher de Kafka responsable de enviar mensajes a los tópicos
  * Soporta envío de mensajes individuales y en batch
+ *
+ * Con `producer.transactionalId` configurado se habilita el modo
+ * transaccional: cada fuente usa su propio producer transaccional, con el id
+ * `<transactionalId>-<fuente>-<instancia>`, y cada ejecución publica dentro de
+ * una transacción (ver beginTransaction()). La instancia es
+ * `producer.instanceId`, la variable CONNECTOR_INSTANCE_ID o el hostname.
+ *
+ * Cada publicación se divide en envíos acotados por cantidad de mensajes y
+ * bytes (ver PUBLISH_DEFAULTS), para no superar el `max.request.size` del
+ * broker con lotes grandes.
  */
 class KafkaPublisher {
   constructor() {
     this.kafka = null;
     this.producer = null;
+    this.transactionalProducers = new Map();
     this.isConnected = false;
     this.config = this.loadConfig();
+    this.publishOptions = { ...PUBLISH_DEFAULTS, ...this.config.publish };
   }
 
   /**
    * Carga la configuración de Kafka desde el archivo kafka.json
+   * Admite referencias a secretos (`${env:X}`, `${file:ruta}`), por ejemplo en `sasl`.
    * @returns {Object}
    */
   loadConfig() {
     try {
       const configPath = path.join(__dirname, '..', 'config', 'kafka.json');
       const rawData = fs.readFileSync(configPath, 'utf-8');
-      return JSON.parse(rawData);
+      const config = secretResolver.resolve(JSON.parse(rawData), 'kafka.json');
+      const validator = new ConfigValidator();
+      validator.assertValid(validator.validateKafka(config), 'kafka.json');
+      return config;
     } catch (error) {
       logger.error(`Error cargando configuración de Kafka: ${error.message}`);
       throw error;
@@ -54,23 +94,29 @@ class KafkaPublisher {
             retry: {
               initialRetryTime: this.config.retry?.initialRetryTime || 300,
               retries: this.config.retry?.retries || 8
-            }
+            },
+            ssl: this.config.ssl,
+            sasl: this.config.sasl
           });
 
           const partitioner = this.config.producer?.partitioner === 'default'
             ? Partitioners.DefaultPartitioner
             : Partitioners.LegacyPartitioner;
 
+          // Los envíos transaccionales usan un producer por fuente (ver beginTransaction())
           this.producer = this.kafka.producer({
             createPartitioner: partitioner,
             maxInFlightRequests: this.config.producer?.maxInFlightRequests || 5,
-            idempotent: this.config.producer?.idempotent || true,
-            transactionalId: this.config.producer?.transactionalId
+            idempotent: this.config.producer?.idempotent || true
           });
 
+          // Refleja en las métricas las desconexiones que no pasan por disconnect()
+          this.producer.on(this.producer.events.DISCONNECT, () => metrics.setKafkaConnected(false));
+
           return from(this.producer.connect()).pipe(
             tap(() => {
               this.isConnected = true;
+              metrics.setKafkaConnected(true);
               logger.info('✓ Kafka Producer conectado exitosamente');
             })
           );
@@ -95,9 +141,12 @@ class KafkaPublisher {
       return of(undefined);
     }
 
-    return from(this.producer.disconnect()).pipe(
+    const producers = [this.producer, ...this.transactionalProducers.values()];
+    return from(Promise.all(producers.map(producer => producer.disconnect()))).pipe(
       tap(() => {
+        this.transactionalProducers.clear();
         this.isConnected = false;
+        metrics.setKafkaConnected(false);
         logger.info('Kafka Producer desconectado');
       }),
       catchError(error => {
@@ -119,18 +168,239 @@ class KafkaPublisher {
       return throwError(() => new Error('KafkaPublisher no está conectado. Llama a connect() primero.'));
     }
 
-    return this.prepareMessages(data, metadata).pipe(
-      switchMap(messages =>
-        from(this.producer.send({ topic, messages })).pipe(
+    const records = Array.isArray(data) ? data : [data];
+
+    return this.prepareMessages(records, metadata).pipe(
+      switchMap(messages => this.sendInChunks(messages, records, chunk =>
+        from(this.producer.send({ topic, ...chunk })).pipe(
           tap(() => {
-            logger.debug(`Mensaje publicado a tópico '${topic}': ${messages.length} mensaje(s)`);
-          }),
-          catchError(error => {
-            logger.error(`Error publicando a Kafka: ${error.message}`);
-            return throwError(() => error);
+            logger.debug(`Mensaje publicado a tópico '${topic}': ${chunk.messages.length} mensaje(s)`);
+            metrics.recordPublished(metadata.source || 'unknown', topic, chunk.messages);
           })
         )
-      )
+      )),
+      catchError(error => {
+        logger.error(`Error publicando a Kafka: ${error.message}`);
+        return throwError(() => error);
+      })
+    );
+  }
+
+  /**
+   * Envía mensajes ya formateados en lotes acotados por `publish.maxRecords` y
+   * `publish.maxBytes`, con hasta `publish.concurrency` envíos en paralelo.
+   * Los mensajes que no entran en un envío se tratan según `publish.oversized`;
+   * los rechazados se informan al final con un error cuyo `oversizedRecords`
+   * contiene los registros originales, una vez enviados todos los demás.
+   * @param {Array<Object>} messages - Mensajes de prepareMessages()
+   * @param {Array} records - Registros originales, en el mismo orden
+   * @param {Function} send - ({ messages, compression }) => Observable que envía un lote
+   * @returns {Observable<void>}
+   */
+  sendInChunks(messages, records, send) {
+    return defer(() => {
+      const { chunks, rejected } = this.buildChunks(messages);
+
+      return from(chunks).pipe(
+        mergeMap(chunk => send(chunk), this.publishOptions.concurrency),
+        toArray(),
+        switchMap(() => {
+          if (rejected.length === 0) {
+            return of(undefined);
+          }
+          const error = new Error(`${rejected.length} registro(s) superan el tamaño máximo de envío (${this.publishOptions.maxBytes} bytes)`);
+          error.oversizedRecords = rejected.map(index => records[index]);
+          return throwError(() => error);
+        })
+      );
+    });
+  }
+
+  /**
+   * Agrupa los mensajes en lotes, en orden
+   * @param {Array<Object>} messages - Mensajes { key, value, headers }
+   * @returns {{chunks: Array<{messages: Array, compression?: number}>, rejected: Array<number>}}
+   * @private
+   */
+  buildChunks(messages) {
+    const { maxRecords, maxBytes } = this.publishOptions;
+    const chunks = [];
+    const rejected = [];
+    let current = [];
+    let currentBytes = 0;
+
+    const flush = () => {
+      if (current.length > 0) {
+        chunks.push({ messages: current });
+        current = [];
+        currentBytes = 0;
+      }
+    };
+
+    messages.forEach((message, index) => {
+      const size = this.messageSize(message);
+
+      if (size > maxBytes) {
+        const oversizedChunks = this.handleOversized(message);
+        if (oversizedChunks) {
+          flush();
+          chunks.push(...oversizedChunks);
+        } else {
+          rejected.push(index);
+        }
+        return;
+      }
+
+      if (current.length >= maxRecords || currentBytes + size > maxBytes) {
+        flush();
+      }
+      current.push(message);
+      currentBytes += size;
+    });
+    flush();
+
+    return { chunks, rejected };
+  }
+
+  /**
+   * Aplica la política `publish.oversized` a un mensaje que supera maxBytes
+   * - dlq: se rechaza (termina en la dead letter queue)
+   * - compress: se envía solo, comprimido con gzip, si así entra
+   * - split: se parte el value en varios mensajes con la misma key y los
+   *   headers `chunk-id`, `chunk-index` y `chunk-count` para reensamblarlo
+   * @param {Object} message - Mensaje { key, value, headers }
+   * @returns {Array<Object>|null} - Lotes a enviar, o null si se rechaza
+   * @private
+   */
+  handleOversized(message) {
+    const { oversized, maxBytes } = this.publishOptions;
+
+    if (oversized === 'compress') {
+      const compressed = { ...message, value: zlib.gzipSync(message.value) };
+      return this.messageSize(compressed) <= maxBytes
+        ? [{ messages: [message], compression: CompressionTypes.GZIP }]
+        : null;
+    }
+
+    if (oversized === 'split') {
+      return this.splitMessage(message).map(part => ({ messages: [part] }));
+    }
+
+    return null;
+  }
+
+  /**
+   * Parte el value de un mensaje en trozos que entran en maxBytes
+   * @param {Object} message - Mensaje { key, value, headers }
+   * @returns {Array<Object>}
+   * @private
+   */
+  splitMessage(message) {
+    const value = Buffer.from(message.value);
+    const chunkId = crypto.randomUUID();
+    // Los headers de cada parte con el mayor índice posible, para reservar su espacio
+    const headers = {
+      ...message.headers,
+      'chunk-id': chunkId,
+      'chunk-index': String(value.length),
+      'chunk-count': String(value.length)
+    };
+    const partBytes = this.publishOptions.maxBytes - this.messageSize({ ...message, value: '', headers });
+
+    if (partBytes <= 0) {
+      throw new Error(`publish.maxBytes (${this.publishOptions.maxBytes}) no alcanza para los headers del mensaje`);
+    }
+
+    const count = Math.ceil(value.length / partBytes);
+    return Array.from({ length: count }, (_, index) => ({
+      key: message.key,
+      value: value.subarray(index * partBytes, (index + 1) * partBytes),
+      headers: {
+        ...message.headers,
+        'chunk-id': chunkId,
+        'chunk-index': String(index),
+        'chunk-count': String(count)
+      }
+    }));
+  }
+
+  /**
+   * Tamaño estimado de un mensaje en el request al broker
+   * @param {Object} message - Mensaje { key, value, headers }
+   * @returns {number}
+   * @private
+   */
+  messageSize(message) {
+    const headers = Object.entries(message.headers || {})
+      .reduce((total, [name, value]) => total + Buffer.byteLength(name) + Buffer.byteLength(String(value)), 0);
+
+    return RECORD_OVERHEAD + Buffer.byteLength(message.key || '') + Buffer.byteLength(message.value || '') + headers;
+  }
+
+  /**
+   * Indica si está habilitado el modo transaccional
+   * @returns {boolean}
+   */
+  isTransactional() {
+    return Boolean(this.config.producer?.transactionalId);
+  }
+
+  /**
+   * Id transaccional de una fuente, único por fuente e instancia y estable
+   * entre reinicios (así el broker descarta las transacciones de una
+   * ejecución anterior que quedaron abiertas)
+   * @param {string} source - Nombre de la fuente
+   * @returns {string}
+   */
+  getTransactionalId(source) {
+    const instanceId = this.config.producer?.instanceId || process.env.CONNECTOR_INSTANCE_ID || os.hostname();
+    return `${this.config.producer.transactionalId}-${source}-${instanceId}`;
+  }
+
+  /**
+   * Abre una transacción con el producer transaccional de la fuente
+   * (creado y conectado la primera vez)
+   * @param {string} source - Nombre de la fuente
+   * @returns {Observable<KafkaTransaction|null>} - null si el modo transaccional no está habilitado
+   */
+  beginTransaction(source) {
+    if (!this.isTransactional()) {
+      return of(null);
+    }
+    if (!this.isConnected) {
+      return throwError(() => new Error('KafkaPublisher no está conectado. Llama a connect() primero.'));
+    }
+
+    return defer(() => {
+      if (this.transactionalProducers.has(source)) {
+        return of(this.transactionalProducers.get(source));
+      }
+
+      const transactionalId = this.getTransactionalId(source);
+      const producer = this.kafka.producer({
+        createPartitioner: this.config.producer?.partitioner === 'default'
+          ? Partitioners.DefaultPartitioner
+          : Partitioners.LegacyPartitioner,
+        transactionalId,
+        transactionTimeout: this.config.producer?.transactionTimeout || 60000,
+        idempotent: true,
+        maxInFlightRequests: 1
+      });
+
+      return from(producer.connect()).pipe(
+        tap(() => {
+          this.transactionalProducers.set(source, producer);
+          logger.info(`[${source}] Producer transaccional conectado (${transactionalId})`);
+        }),
+        map(() => producer)
+      );
+    }).pipe(
+      switchMap(producer => from(producer.transaction())),
+      map(transaction => new KafkaTransaction(transaction, this, source)),
+      catchError(error => {
+        logger.error(`[${source}] Error abriendo transacción de Kafka: ${error.message}`);
+        return throwError(() => error);
+      })
     );
   }
 
@@ -143,8 +413,9 @@ class KafkaPublisher {
   prepareMessages(data, metadata) {
     const dataArray = Array.isArray(data) ? data : [data];
 
-    const observables = dataArray.map(item =>
-      dataFormatter.formatForKafka(
+    // Uno a uno y en orden, sin suscribir un observable por registro a la vez
+    return from(dataArray).pipe(
+      concatMap(item => dataFormatter.formatForKafka(
         item,
         metadata.source || 'unknown',
         metadata.type || 'data'
@@ -158,10 +429,9 @@ class KafkaPublisher {
             timestamp: new Date().toISOString()
           }
         }))
-      )
+      )),
+      toArray()
     );
-
-    return forkJoin(observables);
   }
 
   /**
@@ -196,15 +466,16 @@ class KafkaPublisher {
 
     const batchObservables = topicMessages.map(({ topic, messages, metadata }) =>
       this.prepareMessages(messages, metadata).pipe(
-        map(preparedMessages => ({ topic, messages: preparedMessages }))
+        map(preparedMessages => ({ topic, messages: preparedMessages, source: metadata.source || 'unknown' }))
       )
     );
 
     return forkJoin(batchObservables).pipe(
       switchMap(batch =>
-        from(this.producer.sendBatch({ topicMessages: batch })).pipe(
+        from(this.producer.sendBatch({ topicMessages: batch.map(({ topic, messages }) => ({ topic, messages })) })).pipe(
           tap(() => {
             logger.debug(`Batch publicado: ${batch.length} tópico(s)`);
+            batch.forEach(({ source, topic, messages }) => metrics.recordPublished(source, topic, messages));
           }),
           catchError(error => {
             logger.error(`Error publicando batch a Kafka: ${error.message}`);
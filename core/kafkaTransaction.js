@@ -0,0 +1,138 @@
+// core/kafkaTransaction.js
+const { of, from, defer, throwError } = require('rxjs');
+const { map, tap, concatMap, toArray, switchMap, catchError, retry } = require('rxjs/operators');
+const logger = require('./logger');
+const metrics = require('./metrics');
+
+// Reintentos (y espera entre ellos, en ms) de cada acción de afterCommit()
+const AFTER_COMMIT_RETRIES = 2;
+const AFTER_COMMIT_RETRY_DELAY = 1000;
+
+/**
+ * Transacción de Kafka de una ejecución (ver KafkaPublisher.beginTransaction())
+ * Los mensajes enviados con publish() o send() solo son visibles para los
+ * consumidores `read_committed` tras commit(); abort() los descarta.
+ *
+ * Lo que no puede formar parte de la transacción (checkpoints en archivo,
+ * snapshots de detección de cambios) se registra con afterCommit() y se
+ * ejecuta solo si el commit tuvo éxito. Sus errores no hacen fallar el
+ * commit: los mensajes ya son visibles y la ejecución no debe repetirse.
+ */
+class KafkaTransaction {
+  /**
+   * @param {Object} transaction - Transacción de kafkajs
+   * @param {KafkaPublisher} kafkaPublisher - Publisher usado para formatear los mensajes
+   * @param {string} source - Fuente de la ejecución
+   */
+  constructor(transaction, kafkaPublisher, source) {
+    this.transaction = transaction;
+    this.kafkaPublisher = kafkaPublisher;
+    this.source = source;
+    this.sent = [];
+    this.callbacks = [];
+    this.finished = false;
+  }
+
+  /**
+   * Publica dentro de la transacción. Misma interfaz que KafkaPublisher.publish().
+   * @param {string} topic - Tópico destino
+   * @param {Object|Array} data - Datos a publicar
+   * @param {Object} metadata - Metadata (source, type)
+   * @returns {Observable<void>}
+   */
+  publish(topic, data, metadata = {}) {
+    const records = Array.isArray(data) ? data : [data];
+
+    return this.kafkaPublisher.prepareMessages(records, metadata).pipe(
+      switchMap(messages => this.kafkaPublisher.sendInChunks(messages, records, chunk =>
+        this.send(topic, chunk.messages, chunk.compression)
+      )),
+      tap(() => logger.debug(`[${this.source}] Lote agregado a la transacción para '${topic}'`))
+    );
+  }
+
+  /**
+   * Envía mensajes ya formateados dentro de la transacción
+   * @param {string} topic - Tópico destino
+   * @param {Array<Object>} messages - Mensajes { key, value, headers }
+   * @param {number} compression - CompressionTypes de kafkajs (opcional)
+   * @returns {Observable<void>}
+   */
+  send(topic, messages, compression) {
+    return defer(() => from(this.transaction.send({ topic, messages, compression }))).pipe(
+      tap(() => this.sent.push({ topic, messages })),
+      map(() => undefined)
+    );
+  }
+
+  /**
+   * Registra una acción a ejecutar después de un commit exitoso
+   * @param {Function} callback - () => Observable|void
+   */
+  afterCommit(callback) {
+    this.callbacks.push(callback);
+  }
+
+  /**
+   * Confirma la transacción y ejecuta las acciones de afterCommit(), en orden
+   * Una acción que falla se reintenta y, si sigue fallando, se registra el
+   * error y se continúa con las demás: el commit se informa como exitoso.
+   * @returns {Observable<void>}
+   */
+  commit() {
+    return defer(() => from(this.transaction.commit())).pipe(
+      tap(() => {
+        this.finished = true;
+        this.sent.forEach(({ topic, messages }) => metrics.recordPublished(this.source, topic, messages));
+        logger.debug(`[${this.source}] Transacción confirmada (${this.sent.length} lotes)`);
+      }),
+      concatMap(() => from(this.callbacks)),
+      concatMap(callback => this.runAfterCommit(callback)),
+      toArray(),
+      map(() => undefined)
+    );
+  }
+
+  /**
+   * Ejecuta una acción de afterCommit() sin propagar sus errores
+   * @param {Function} callback - () => Observable|void
+   * @returns {Observable<void>}
+   * @private
+   */
+  runAfterCommit(callback) {
+    return defer(() => callback() || of(undefined)).pipe(
+      retry({ count: AFTER_COMMIT_RETRIES, delay: AFTER_COMMIT_RETRY_DELAY }),
+      catchError(error => {
+        logger.error(
+          `[${this.source}] Error tras confirmar la transacción (${AFTER_COMMIT_RETRIES} reintentos): ${error.message}. ` +
+          'Los mensajes ya se publicaron y la ejecución se da por exitosa'
+        );
+        return of(undefined);
+      })
+    );
+  }
+
+  /**
+   * Descarta la transacción. No hace nada si ya se confirmó.
+   * @returns {Observable<void>}
+   */
+  abort() {
+    if (this.finished) {
+      return of(undefined);
+    }
+
+    return defer(() => from(this.transaction.abort())).pipe(
+      tap(() => {
+        this.finished = true;
+        logger.warn(`[${this.source}] Transacción abortada, se descartan ${this.sent.length} lotes`);
+      }),
+      map(() => undefined),
+      catchError(error => {
+        logger.error(`[${this.source}] Error abortando la transacción: ${error.message}`);
+        return throwError(() => error);
+      })
+    );
+  }
+}
+
+module.exports = KafkaTransaction;
@@ -1,11 +1,13 @@
 // core/logger.js
 const log4js = require('log4js');
 const path = require('path');
+const secretResolver = require('../utils/secretResolver');
 
 log4js.configure({
   appenders: {
     console: {
-      type: 'console',
+      // La CLI usa stderr para no mezclar los logs con su salida
+      type: process.env.LOG_TO_STDERR === 'true' ? 'stderr' : 'console',
       layout: {
         type: 'pattern',
         pattern: '%[[%d{yyyy-MM-dd hh:mm:ss}] [%p] [%c]%] %m'
@@ -49,4 +51,10 @@ log4js.configure({
 
 const logger = log4js.getLogger('BaseConnector');
 
+// Ningún mensaje debe mostrar los secretos resueltos de la configuración
+['trace', 'debug', 'info', 'warn', 'error', 'fatal'].forEach(level => {
+  const log = logger[level].bind(logger);
+  logger[level] = (...args) => log(...args.map(arg => secretResolver.redact(arg)));
+});
+
 module.exports = logger;
@@ -0,0 +1,200 @@
+// core/metrics.js
+const logger = require('./logger');
+
+/**
+ * Métricas de Prometheus del pipeline
+ * Se habilitan con ENABLE_PROMETHEUS=true. Usan el registro por defecto de
+ * prom-client, donde también vive `connector_errors_total` del errorHandler,
+ * y se exponen en GET /metrics del servidor de administración.
+ * Con las métricas deshabilitadas todos los métodos son no-op.
+ */
+class Metrics {
+  constructor() {
+    this.enabled = process.env.ENABLE_PROMETHEUS === 'true';
+    this.client = null;
+    this.lastSuccess = new Map();
+
+    if (this.enabled) {
+      this.initialize();
+    }
+  }
+
+  /**
+   * Crea las series
+   * @private
+   */
+  initialize() {
+    try {
+      this.client = require('prom-client');
+    } catch (error) {
+      logger.error(`Error inicializando métricas de Prometheus: ${error.message}`);
+      this.enabled = false;
+      return;
+    }
+
+    const { Counter, Gauge, Histogram, collectDefaultMetrics } = this.client;
+    collectDefaultMetrics({ prefix: 'connector_process_' });
+
+    this.phaseDuration = new Histogram({
+      name: 'connector_execution_phase_duration_seconds',
+      help: 'Duración de cada fase de la ejecución de una fuente',
+      labelNames: ['source', 'phase'],
+      buckets: [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60, 120, 300]
+    });
+
+    this.executions = new Counter({
+      name: 'connector_executions_total',
+      help: 'Ejecuciones finalizadas por fuente y resultado',
+      labelNames: ['source', 'result']
+    });
+
+    this.recordsPublished = new Counter({
+      name: 'connector_records_published_total',
+      help: 'Registros publicados en Kafka',
+      labelNames: ['source', 'topic']
+    });
+
+    this.bytesPublished = new Counter({
+      name: 'connector_bytes_published_total',
+      help: 'Bytes publicados en Kafka (valor de los mensajes)',
+      labelNames: ['source', 'topic']
+    });
+
+    this.httpDuration = new Histogram({
+      name: 'connector_http_request_duration_seconds',
+      help: 'Latencia de las peticiones HTTP a las fuentes',
+      labelNames: ['source', 'method', 'host', 'status'],
+      buckets: [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30]
+    });
+
+    this.httpRetries = new Counter({
+      name: 'connector_http_retries_total',
+      help: 'Reintentos de peticiones HTTP',
+      labelNames: ['source', 'host']
+    });
+
+    this.kafkaConnected = new Gauge({
+      name: 'connector_kafka_connected',
+      help: 'Estado de la conexión del producer de Kafka (1 conectado, 0 desconectado)'
+    });
+    this.kafkaConnected.set(0);
+
+    const lastSuccess = this.lastSuccess;
+    new Gauge({
+      name: 'connector_seconds_since_last_success',
+      help: 'Segundos desde la última ejecución exitosa de cada fuente',
+      labelNames: ['source'],
+      collect() {
+        const now = Date.now();
+        lastSuccess.forEach((timestamp, source) => this.set({ source }, (now - timestamp) / 1000));
+      }
+    });
+
+    logger.info('Métricas de Prometheus del pipeline inicializadas');
+  }
+
+  /**
+   * Registra la duración de una fase ('extract', 'transform', 'publish' o 'total')
+   * @param {string} source - Nombre de la fuente
+   * @param {string} phase - Fase
+   * @param {number} durationMs - Duración en ms
+   */
+  observePhase(source, phase, durationMs) {
+    if (this.enabled) {
+      this.phaseDuration.observe({ source, phase }, durationMs / 1000);
+    }
+  }
+
+  /**
+   * Registra el resultado de una ejecución
+   * @param {string} source - Nombre de la fuente
+   * @param {boolean} success - Si la ejecución fue exitosa
+   */
+  recordExecution(source, success) {
+    if (!this.enabled) {
+      return;
+    }
+    this.executions.inc({ source, result: success ? 'success' : 'failure' });
+    if (success) {
+      this.lastSuccess.set(source, Date.now());
+    }
+  }
+
+  /**
+   * Registra un envío exitoso a Kafka
+   * @param {string} source - Nombre de la fuente
+   * @param {string} topic - Tópico destino
+   * @param {Array<Object>} messages - Mensajes enviados ({ value })
+   */
+  recordPublished(source, topic, messages) {
+    if (!this.enabled) {
+      return;
+    }
+    const bytes = messages.reduce((total, message) => total + Buffer.byteLength(message.value || ''), 0);
+    this.recordsPublished.inc({ source, topic }, messages.length);
+    this.bytesPublished.inc({ source, topic }, bytes);
+  }
+
+  /**
+   * Registra una petición HTTP finalizada
+   * @param {Object} labels - { source, method, url }
+   * @param {number|string} status - Código de respuesta o 'error' si no hubo respuesta
+   * @param {number} durationMs - Duración en ms
+   */
+  observeHttpRequest({ source, method, url }, status, durationMs) {
+    if (this.enabled) {
+      this.httpDuration.observe(
+        { source: source || 'unknown', method: (method || 'GET').toUpperCase(), host: this.hostOf(url), status: String(status) },
+        durationMs / 1000
+      );
+    }
+  }
+
+  /**
+   * Registra un reintento HTTP
+   * @param {Object} labels - { source, url }
+   */
+  recordHttpRetry({ source, url }) {
+    if (this.enabled) {
+      this.httpRetries.inc({ source: source || 'unknown', host: this.hostOf(url) });
+    }
+  }
+
+  /**
+   * @param {boolean} connected - Estado de la conexión a Kafka
+   */
+  setKafkaConnected(connected) {
+    if (this.enabled) {
+      this.kafkaConnected.set(connected ? 1 : 0);
+    }
+  }
+
+  /**
+   * Serializa las métricas en formato de exposición de Prometheus
+   * @returns {Promise<string>}
+   */
+  render() {
+    return this.client.register.metrics();
+  }
+
+  /**
+   * @returns {string}
+   */
+  get contentType() {
+    return this.client.register.contentType;
+  }
+
+  /**
+   * Host de una URL, para no generar una serie por endpoint
+   * @private
+   */
+  hostOf(url) {
+    try {
+      return new URL(url).host;
+    } catch (error) {
+      return 'unknown';
+    }
+  }
+}
+
+module.exports = new Metrics();
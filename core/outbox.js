@@ -0,0 +1,394 @@
+// core/outbox.js
+const fs = require('fs');
+const path = require('path');
+const logger = require('./logger');
+const { defer, of, from, interval, merge, Subject, throwError } = require('rxjs');
+const { concatMap, tap, catchError, exhaustMap, takeUntil, map, toArray } = require('rxjs/operators');
+
+/**
+ * Outbox local durable entre las estrategias y KafkaPublisher
+ * Cada publish() se agrega a un write-ahead log en disco (segmentos NDJSON)
+ * y se confirma de inmediato. Un proceso de drenado envía las entradas a Kafka
+ * en orden cuando el broker está disponible; si un envío falla se detiene y
+ * reintenta más tarde desde la misma entrada.
+ *
+ * Los errores transitorios de Kafka (broker caído, timeouts) se reintentan
+ * sin límite. Una entrada que falla por otro motivo (autorización del tópico,
+ * serialización, línea ilegible) se reintenta hasta `maxAttempts` veces y luego
+ * se envía a la dead letter queue, para no bloquear el resto del log.
+ *
+ * Estructura en disco (config.path, por defecto data/outbox):
+ * - segment-<n>.ndjson: entradas { topic, data, metadata, enqueuedAt }
+ * - state.json: { segment, offset } primera entrada aún no enviada
+ */
+class Outbox {
+  /**
+   * @param {Object} config - Sección "outbox" de sources.json
+   * @param {string} config.path - Directorio del log (relativo a la raíz del proyecto)
+   * @param {number} config.segmentMaxBytes - Tamaño máximo de cada segmento
+   * @param {number} config.maxBytes - Tamaño máximo total; al superarlo se rechazan nuevas entradas
+   * @param {number} config.drainInterval - Intervalo de drenado en ms
+   * @param {number} config.maxAttempts - Intentos de una entrada con errores no transitorios antes de descartarla
+   * @param {KafkaPublisher} kafkaPublisher - Publisher real
+   * @param {DeadLetterQueue} deadLetterQueue - Destino de las entradas descartadas (opcional)
+   */
+  constructor(config = {}, kafkaPublisher, deadLetterQueue = null) {
+    this.dir = path.resolve(path.join(__dirname, '..'), config.path || 'data/outbox');
+    this.statePath = path.join(this.dir, 'state.json');
+    this.segmentMaxBytes = config.segmentMaxBytes || 16 * 1024 * 1024;
+    this.maxBytes = config.maxBytes || 512 * 1024 * 1024;
+    this.drainInterval = config.drainInterval || 5000;
+    this.maxAttempts = config.maxAttempts || 5;
+    this.kafkaPublisher = kafkaPublisher;
+    this.deadLetterQueue = deadLetterQueue;
+
+    this.state = { segment: 1, offset: 0 };
+    this.activeSegment = 1;
+    this.pendingEntries = 0;
+    this.pendingBytes = 0;
+    this.lastDrainAt = null;
+    this.lastDrainError = null;
+    this.failedEntry = { position: null, attempts: 0 };
+    this.discardedEntries = 0;
+    this.drainRequest$ = new Subject();
+    this.stop$ = new Subject();
+  }
+
+  /**
+   * Recupera el estado del log tras un reinicio
+   * @returns {Observable<void>}
+   */
+  init() {
+    return defer(() => {
+      fs.mkdirSync(this.dir, { recursive: true });
+
+      if (fs.existsSync(this.statePath)) {
+        this.state = JSON.parse(fs.readFileSync(this.statePath, 'utf-8'));
+      }
+
+      const segments = this.listSegments();
+      if (segments.length > 0) {
+        this.truncatePartialLine(segments[segments.length - 1]);
+      }
+      this.activeSegment = segments.length > 0 ? segments[segments.length - 1] : this.state.segment;
+
+      segments.forEach(segment => {
+        const skip = segment === this.state.segment ? this.state.offset : 0;
+        this.readLines(segment).slice(skip).forEach(line => {
+          this.pendingEntries++;
+          this.pendingBytes += Buffer.byteLength(line) + 1;
+        });
+      });
+
+      if (this.pendingEntries > 0) {
+        logger.warn(`Outbox con ${this.pendingEntries} entradas pendientes de enviar a Kafka`);
+      }
+      return of(undefined);
+    });
+  }
+
+  /**
+   * Inicia el drenado: periódico y también inmediatamente tras cada publish()
+   */
+  start() {
+    merge(of(undefined), interval(this.drainInterval), this.drainRequest$).pipe(
+      takeUntil(this.stop$),
+      exhaustMap(() => this.drain())
+    ).subscribe();
+
+    logger.info(`Outbox activo en ${this.dir} (drenado cada ${this.drainInterval / 1000}s)`);
+  }
+
+  /**
+   * Detiene el drenado. Las entradas pendientes quedan en disco.
+   * @returns {Observable<void>}
+   */
+  stop() {
+    this.stop$.next();
+    this.stop$.complete();
+    return of(undefined);
+  }
+
+  /**
+   * Agrega un lote al log. Misma interfaz que KafkaPublisher.publish().
+   * @param {string} topic - Tópico destino
+   * @param {Object|Array} data - Datos a publicar
+   * @param {Object} metadata - Metadata (source, type)
+   * @returns {Observable<void>}
+   */
+  publish(topic, data, metadata = {}) {
+    return defer(() => {
+      const line = JSON.stringify({ topic, data, metadata, enqueuedAt: new Date().toISOString() });
+      const bytes = Buffer.byteLength(line) + 1;
+
+      if (this.pendingBytes + bytes > this.maxBytes) {
+        return throwError(() => new Error(
+          `Outbox lleno (${this.pendingBytes} de ${this.maxBytes} bytes), no se acepta el lote para '${topic}'`
+        ));
+      }
+
+      const activePath = this.segmentPath(this.activeSegment);
+      if (fs.existsSync(activePath) && fs.statSync(activePath).size + bytes > this.segmentMaxBytes) {
+        this.activeSegment++;
+      }
+
+      fs.appendFileSync(this.segmentPath(this.activeSegment), `${line}\n`);
+      this.pendingEntries++;
+      this.pendingBytes += bytes;
+      this.drainRequest$.next();
+      return of(undefined);
+    });
+  }
+
+  /**
+   * Envía a Kafka las entradas pendientes, en orden, hasta agotar el log o
+   * encontrar un error. Nunca emite error.
+   * @returns {Observable<void>}
+   */
+  drain() {
+    if (this.pendingEntries === 0) {
+      return of(undefined);
+    }
+
+    return this.ensureConnected().pipe(
+      concatMap(() => this.drainSegment()),
+      tap(() => {
+        this.lastDrainAt = new Date();
+        this.lastDrainError = null;
+      }),
+      catchError(error => {
+        if (this.lastDrainError !== error.message) {
+          logger.warn(`Outbox: no se pudo drenar hacia Kafka, se reintentará: ${error.message}`);
+        }
+        this.lastDrainError = error.message;
+        return of(undefined);
+      })
+    );
+  }
+
+  /**
+   * Drena el segmento más antiguo y continúa con el siguiente
+   * @returns {Observable<void>}
+   * @private
+   */
+  drainSegment() {
+    return defer(() => {
+      const { segment, offset } = this.state;
+      const lines = this.readLines(segment).slice(offset);
+
+      return from(lines).pipe(
+        concatMap(line => this.drainEntry(line).pipe(
+          toArray(),
+          tap(() => {
+            this.state.offset++;
+            this.pendingEntries--;
+            this.pendingBytes -= Buffer.byteLength(line) + 1;
+            this.saveState();
+          })
+        )),
+        toArray(),
+        concatMap(() => this.advanceSegment() ? this.drainSegment() : of(undefined))
+      );
+    });
+  }
+
+  /**
+   * Publica una entrada del log. Emite (y la entrada se da por enviada) si se
+   * publicó o se descartó hacia la DLQ; emite error si debe reintentarse.
+   * @param {string} line - Línea del segmento
+   * @returns {Observable<void>}
+   * @private
+   */
+  drainEntry(line) {
+    let entry = null;
+
+    return defer(() => {
+      entry = JSON.parse(line);
+      return this.kafkaPublisher.publish(entry.topic, entry.data, entry.metadata);
+    }).pipe(
+      // Los registros que no entran en un envío a Kafka no se reintentan
+      catchError(error => (error.oversizedRecords
+        ? this.discard(entry, error.oversizedRecords, error)
+        : throwError(() => error))),
+      tap(() => {
+        this.failedEntry = { position: null, attempts: 0 };
+      }),
+      catchError(error => {
+        if (Outbox.isTransient(error)) {
+          return throwError(() => error);
+        }
+
+        const position = `${this.state.segment}:${this.state.offset}`;
+        if (this.failedEntry.position !== position) {
+          this.failedEntry = { position, attempts: 0 };
+        }
+        this.failedEntry.attempts++;
+
+        // Una línea ilegible no se arregla reintentando
+        if (entry && this.failedEntry.attempts < this.maxAttempts) {
+          return throwError(() => error);
+        }
+
+        logger.error(`Outbox: entrada ${position} descartada tras ${this.failedEntry.attempts} intento(s): ${error.message}`);
+        return this.discard(entry, entry ? entry.data : line, error).pipe(
+          tap(() => {
+            this.failedEntry = { position: null, attempts: 0 };
+          })
+        );
+      })
+    );
+  }
+
+  /**
+   * Envía a la DLQ datos de una entrada que no pueden publicarse. Sin DLQ se
+   * descartan con un error en el log; si la DLQ falla se reintenta más tarde.
+   * @param {Object|null} entry - Entrada del log (null si la línea es ilegible)
+   * @param {*} payload - Registros o línea descartados
+   * @param {Error} error - Motivo
+   * @returns {Observable<void>}
+   * @private
+   */
+  discard(entry, payload, error) {
+    const { source = 'unknown', type = 'data' } = (entry && entry.metadata) || {};
+    const count = Array.isArray(payload) ? payload.length : 1;
+
+    this.discardedEntries++;
+    if (!this.deadLetterQueue) {
+      logger.error(`[${source}] Se descartan ${count} registro(s) del outbox sin dead letter queue: ${error.message}`);
+      return of(undefined);
+    }
+
+    return this.deadLetterQueue.send({
+      source,
+      type,
+      stage: 'publish',
+      originalTopic: entry ? entry.topic : null,
+      payload,
+      error
+    }).pipe(
+      concatMap(sent => (sent
+        ? of(undefined)
+        : throwError(() => new Error(`No se pudo enviar a dead letters una entrada descartada del outbox: ${error.message}`))))
+    );
+  }
+
+  /**
+   * Elimina la última línea de un segmento si quedó a medio escribir (por
+   * ejemplo, tras una caída del proceso durante publish())
+   * @param {number} segment
+   * @private
+   */
+  truncatePartialLine(segment) {
+    const segmentPath = this.segmentPath(segment);
+    const content = fs.readFileSync(segmentPath);
+
+    if (content.length === 0 || content[content.length - 1] === 0x0a) {
+      return;
+    }
+
+    const length = content.lastIndexOf(0x0a) + 1;
+    fs.truncateSync(segmentPath, length);
+    logger.warn(`Outbox: se descartan ${content.length - length} bytes de una entrada incompleta en segment-${segment}.ndjson`);
+  }
+
+  /**
+   * Elimina el segmento drenado y pasa al siguiente
+   * @returns {boolean} - true si hay otro segmento por drenar
+   * @private
+   */
+  advanceSegment() {
+    const { segment, offset } = this.state;
+
+    // Pueden haberse agregado entradas mientras se drenaba
+    if (this.readLines(segment).length > offset) {
+      return true;
+    }
+
+    fs.rmSync(this.segmentPath(segment), { force: true });
+
+    if (segment >= this.activeSegment) {
+      // Log vacío: se reutiliza el número de segmento
+      this.state = { segment, offset: 0 };
+      this.saveState();
+      return false;
+    }
+
+    this.state = { segment: segment + 1, offset: 0 };
+    this.saveState();
+    return true;
+  }
+
+  /**
+   * Conecta el publisher si aún no lo está (por ejemplo, tras arrancar sin broker)
+   * @returns {Observable<void>}
+   * @private
+   */
+  ensureConnected() {
+    return this.kafkaPublisher.isHealthy() ? of(undefined) : this.kafkaPublisher.connect();
+  }
+
+  /**
+   * @private
+   */
+  saveState() {
+    const tmpPath = `${this.statePath}.tmp`;
+    fs.writeFileSync(tmpPath, JSON.stringify(this.state));
+    fs.renameSync(tmpPath, this.statePath);
+  }
+
+  /**
+   * @private
+   */
+  listSegments() {
+    return fs.readdirSync(this.dir)
+      .map(file => /^segment-(\d+)\.ndjson$/.exec(file))
+      .filter(Boolean)
+      .map(match => Number(match[1]))
+      .sort((a, b) => a - b);
+  }
+
+  /**
+   * @private
+   */
+  readLines(segment) {
+    const segmentPath = this.segmentPath(segment);
+    if (!fs.existsSync(segmentPath)) {
+      return [];
+    }
+    return fs.readFileSync(segmentPath, 'utf-8').split('\n').filter(line => line !== '');
+  }
+
+  /**
+   * @private
+   */
+  segmentPath(segment) {
+    return path.join(this.dir, `segment-${segment}.ndjson`);
+  }
+
+  /**
+   * Métricas del backlog para el estado del scheduler
+   * @returns {Object}
+   */
+  getStatus() {
+    return {
+      pendingEntries: this.pendingEntries,
+      pendingBytes: this.pendingBytes,
+      maxBytes: this.maxBytes,
+      segments: this.activeSegment - this.state.segment + 1,
+      lastDrainAt: this.lastDrainAt,
+      lastDrainError: this.lastDrainError,
+      discardedEntries: this.discardedEntries
+    };
+  }
+}
+
+/**
+ * Indica si un error de publicación es transitorio (conexión, timeouts,
+ * líderes no disponibles): kafkajs los marca `retriable`, también cuando
+ * agotan sus reintentos y quedan como `cause` del error final.
+ * @param {Error} error
+ * @returns {boolean}
+ */
+Outbox.isTransient = error => Boolean(error) && (error.retriable === true || Outbox.isTransient(error.cause));
+
+module.exports = Outbox;
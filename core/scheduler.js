@@ -2,7 +2,14 @@
 const logger = require('./logger');
 const KafkaPublisher = require('./kafkaPublisher');
 const StrategyFactory = require('./strategyFactory');
-const { of, from, forkJoin, timer, throwError, Subject } = require('rxjs');
+const CheckpointStore = require('./checkpointStore');
+const DeadLetterQueue = require('./deadLetterQueue');
+const Outbox = require('./outbox');
+const SinkRouter = require('./sinkRouter');
+const SourceSchedule = require('./sourceSchedule');
+const ChangeDetector = require('./changeDetector');
+const secretResolver = require('../utils/secretResolver');
+const { of, from, forkJoin, throwError, Subject, EMPTY, defer } = require('rxjs');
 const { switchMap, tap, catchError, takeUntil, exhaustMap, map } = require('rxjs/operators');
 
 /**
@@ -10,11 +17,34 @@ const { switchMap, tap, catchError, takeUntil, exhaustMap, map } = require('rxjs
  * Maneja m�ltiples fuentes y sus intervalos de ejecuci�n
  */
 class Scheduler {
-  constructor(sourcesConfig) {
+  /**
+   * @param {Array<Object>} sourcesConfig - Configuraciones de las fuentes
+   * @param {Object} options - Secciones globales de sources.json
+   * @param {Object} options.checkpoint - Configuración del almacén de checkpoints
+   * @param {Object} options.deadLetter - Configuración de la dead letter queue (opcional)
+   * @param {Object} options.outbox - Configuración del outbox local (opcional)
+   * @param {Object} options.changeDetection - Configuración de los snapshots de detección de cambios
+   * @param {Object} options.sinks - Sinks declarados (sección "sinks", opcional)
+   */
+  constructor(sourcesConfig, options = {}) {
     this.sourcesConfig = sourcesConfig;
     this.kafkaPublisher = new KafkaPublisher();
+    this.checkpointStore = new CheckpointStore(options.checkpoint, this.kafkaPublisher);
+    this.deadLetterQueue = options.deadLetter && options.deadLetter.enabled !== false
+      ? new DeadLetterQueue(options.deadLetter, this.kafkaPublisher)
+      : null;
+    this.outbox = options.outbox && options.outbox.enabled !== false
+      ? new Outbox(options.outbox, this.kafkaPublisher, this.deadLetterQueue)
+      : null;
+    // Las estrategias publican en los sinks de su fuente; con outbox, el sink
+    // de Kafka escribe en el log local y este drena a Kafka
+    this.sinkRouter = new SinkRouter(options.sinks, { kafkaPublisher: this.kafkaPublisher, outbox: this.outbox });
+    this.sinkRouter.setSources(sourcesConfig);
+    this.publisher = this.sinkRouter;
+    this.changeDetector = new ChangeDetector(options.changeDetection, this.kafkaPublisher);
     this.strategyFactory = new StrategyFactory();
     this.strategies = [];
+    this.subscriptions = new Map();
     this.isRunning = false;
     this.shutdown$ = new Subject();
   }
@@ -31,18 +61,24 @@ class Scheduler {
 
     return of(undefined).pipe(
       tap(() => logger.info('Conectando a Kafka...')),
-      switchMap(() => this.kafkaPublisher.connect()),
+      switchMap(() => this.connectKafka()),
+      switchMap(() => this.sinkRouter.init()),
+      tap(() => logger.info(`Cargando checkpoints (${this.checkpointStore.type})...`)),
+      switchMap(() => this.checkpointStore.init()),
+      switchMap(() => (this.deadLetterQueue ? this.deadLetterQueue.init() : of(undefined))),
       tap(() => {
         logger.info('Creando estrategias...');
         this.strategies = this.strategyFactory.createStrategies(this.sourcesConfig);
         if (this.strategies.length === 0) {
           throw new Error('No se pudo crear ninguna estrategia vlida');
         }
+        this.strategies.forEach(strategy => this.attachServices(strategy));
       }),
       tap(() => {
         this.strategies.forEach(strategy => this.scheduleStrategy(strategy));
         this.isRunning = true;
-        logger.info(`Scheduler iniciado con ${this.strategies.length} estrategias activas`);
+        const active = this.strategies.filter(strategy => strategy.isSchedulable()).length;
+        logger.info(`Scheduler iniciado con ${active} estrategias activas de ${this.strategies.length} configuradas`);
       }),
       catchError(error => {
         logger.error(`Error iniciando scheduler: ${error.message}`);
@@ -53,19 +89,236 @@ class Scheduler {
 
   /**
    * Programa la ejecuci�n peri�dica de una estrategia
+   * Usa `schedule` (cron) si está configurado, o `interval` en su defecto
    * @param {BaseStrategy} strategy - Estrategia a programar
    */
   scheduleStrategy(strategy) {
-    const interval = strategy.config.interval || 60000;
+    const scheduleConfig = strategy.getScheduleConfig();
+    let schedule;
 
-    logger.info(`Estrategia '${strategy.name}' programada cada ${interval / 1000}s`);
+    if (!scheduleConfig) {
+      logger.info(`Estrategia '${strategy.name}' sin ejecuciones programadas (solo recibe eventos)`);
+      return;
+    }
+
+    try {
+      schedule = new SourceSchedule(scheduleConfig);
+    } catch (error) {
+      logger.error(`[${strategy.name}] Planificación inválida, la fuente no se ejecutará: ${error.message}`);
+      strategy.disable(`Planificación inválida: ${error.message}`);
+      return;
+    }
 
-    timer(0, interval).pipe(
+    strategy.schedule = schedule;
+    logger.info(`Estrategia '${strategy.name}' programada ${schedule.describe()}`);
+
+    const subscription = schedule.ticks().pipe(
       takeUntil(this.shutdown$),
-      exhaustMap(() => this.executeStrategy(strategy))
+      exhaustMap(() => {
+        if (!strategy.isSchedulable()) {
+          logger.debug(`[${strategy.name}] Fuente en estado '${strategy.state}', se omite la ejecución programada`);
+          return EMPTY;
+        }
+        if (!strategy.circuitBreaker.allowExecution()) {
+          logger.debug(`[${strategy.name}] Circuito abierto, se omite la ejecución programada`);
+          return EMPTY;
+        }
+        return this.executeStrategy(strategy);
+      })
     ).subscribe({
-      error: err => logger.error(`[${strategy.name}] Flujo de ejecución detenido por error: ${err.message}`)
+      // Se refleja en /status; enableStrategy() vuelve a programarla
+      error: err => {
+        logger.error(`[${strategy.name}] Flujo de ejecución detenido por error: ${err.message}`);
+        this.subscriptions.delete(strategy.name);
+        strategy.disable(`Planificación detenida: ${err.message}`);
+      }
     });
+
+    if (!subscription.closed) {
+      this.subscriptions.set(strategy.name, subscription);
+    }
+  }
+
+  /**
+   * Conecta a Kafka si lo usa alguna fuente, los checkpoints o la DLQ. Con
+   * outbox habilitado un broker caído no impide arrancar: los lotes se
+   * acumulan en disco y el outbox reintenta la conexión al drenar.
+   * @returns {Observable<void>}
+   * @private
+   */
+  connectKafka() {
+    if (!this.requiresKafka()) {
+      logger.info('Ninguna fuente publica en Kafka, no se conecta al broker');
+      return this.outbox ? this.outbox.init().pipe(tap(() => this.outbox.start())) : of(undefined);
+    }
+
+    if (!this.outbox) {
+      return this.kafkaPublisher.connect();
+    }
+
+    return this.outbox.init().pipe(
+      switchMap(() => this.kafkaPublisher.connect().pipe(
+        catchError(error => {
+          logger.warn(`Kafka no disponible al iniciar, se continúa con el outbox local: ${error.message}`);
+          return of(undefined);
+        })
+      )),
+      tap(() => this.outbox.start())
+    );
+  }
+
+  /**
+   * @returns {boolean}
+   * @private
+   */
+  requiresKafka() {
+    return this.sinkRouter.usesKafka()
+      || this.checkpointStore.type === 'kafka'
+      || (this.deadLetterQueue !== null && this.deadLetterQueue.type === 'kafka');
+  }
+
+  /**
+   * Inyecta en la estrategia los servicios compartidos del scheduler
+   * @param {BaseStrategy} strategy
+   * @private
+   */
+  attachServices(strategy) {
+    strategy.setCheckpointStore(this.checkpointStore);
+    strategy.setDeadLetterQueue(this.deadLetterQueue);
+    strategy.setChangeDetector(this.changeDetector);
+  }
+
+  /**
+   * Cancela la programación de una estrategia (y su ejecución en curso)
+   * @param {string} strategyName - Nombre de la estrategia
+   */
+  unscheduleStrategy(strategyName) {
+    const subscription = this.subscriptions.get(strategyName);
+    if (subscription) {
+      subscription.unsubscribe();
+      this.subscriptions.delete(strategyName);
+    }
+  }
+
+  /**
+   * Aplica una nueva lista de fuentes sin reiniciar el proceso
+   * Inicia las fuentes nuevas, detiene las eliminadas y reprograma las modificadas.
+   * Si alguna fuente es inválida no se aplica ningún cambio.
+   * @param {Array<Object>} sourcesConfig - Nueva configuración de fuentes
+   * @returns {Observable<{added: Array<string>, removed: Array<string>, updated: Array<string>}>}
+   */
+  reload(sourcesConfig) {
+    return defer(() => {
+      const plan = this.planReload(sourcesConfig);
+
+      plan.removed.forEach(name => {
+        this.unscheduleStrategy(name);
+        this.strategies = this.strategies.filter(s => s.name !== name);
+        logger.info(`Fuente '${name}' eliminada`);
+      });
+
+      plan.updated.forEach(strategy => {
+        const previous = this.strategies.find(s => s.name === strategy.name);
+        this.unscheduleStrategy(strategy.name);
+        this.inheritRuntimeState(strategy, previous);
+        this.strategies = this.strategies.map(s => (s === previous ? strategy : s));
+      });
+
+      plan.added.forEach(strategy => this.strategies.push(strategy));
+      this.sinkRouter.setSources(sourcesConfig);
+
+      [...plan.updated, ...plan.added].forEach(strategy => {
+        this.attachServices(strategy);
+        if (this.isRunning) {
+          this.scheduleStrategy(strategy);
+        }
+      });
+
+      this.sourcesConfig = sourcesConfig;
+
+      const summary = {
+        added: plan.added.map(s => s.name),
+        removed: plan.removed,
+        updated: plan.updated.map(s => s.name)
+      };
+      logger.info(`Configuración recargada: ${summary.added.length} nuevas, ${summary.removed.length} eliminadas, ${summary.updated.length} modificadas`);
+      return of(summary);
+    }).pipe(
+      catchError(error => {
+        logger.error(`Recarga de configuración rechazada, se mantiene la actual: ${error.message}`);
+        return throwError(() => error);
+      })
+    );
+  }
+
+  /**
+   * Calcula las diferencias con la configuración actual e instancia las
+   * estrategias nuevas o modificadas. Lanza un error si alguna es inválida.
+   * @param {Array<Object>} sourcesConfig - Nueva configuración de fuentes
+   * @returns {{added: Array<BaseStrategy>, removed: Array<string>, updated: Array<BaseStrategy>}}
+   * @private
+   */
+  planReload(sourcesConfig) {
+    if (!Array.isArray(sourcesConfig) || sourcesConfig.length === 0) {
+      throw new Error('La nueva configuración no contiene fuentes');
+    }
+
+    const names = sourcesConfig.map(config => config.name);
+    const duplicated = names.filter((name, index) => names.indexOf(name) !== index);
+    if (names.some(name => !name) || duplicated.length > 0) {
+      throw new Error(`Nombres de fuente ausentes o duplicados: ${duplicated.join(', ') || '(sin nombre)'}`);
+    }
+
+    const currentByName = new Map(this.strategies.map(s => [s.name, s]));
+    const plan = { added: [], removed: [], updated: [] };
+
+    sourcesConfig.forEach(config => {
+      const current = currentByName.get(config.name);
+      if (current && JSON.stringify(current.config) === JSON.stringify(config)) {
+        return;
+      }
+
+      let strategy;
+      try {
+        strategy = this.strategyFactory.createStrategy(config);
+        this.sinkRouter.resolve(config);
+        const scheduleConfig = strategy.getScheduleConfig();
+        if (scheduleConfig) {
+          new SourceSchedule(scheduleConfig);
+        }
+      } catch (error) {
+        throw new Error(`Fuente '${config.name}': ${error.message}`);
+      }
+
+      (current ? plan.updated : plan.added).push(strategy);
+    });
+
+    plan.removed = this.strategies
+      .map(s => s.name)
+      .filter(name => !names.includes(name));
+
+    return plan;
+  }
+
+  /**
+   * Conserva el estado en memoria de la instancia anterior de una fuente
+   * @param {BaseStrategy} strategy - Nueva instancia
+   * @param {BaseStrategy} previous - Instancia reemplazada
+   * @private
+   */
+  inheritRuntimeState(strategy, previous) {
+    // Si cambió el flag `enabled` manda la configuración; si no, se conserva
+    // el estado operativo (pausada, auto-deshabilitada, habilitada por API...)
+    if (strategy.config.enabled === previous.config.enabled) {
+      strategy.state = previous.state;
+      strategy.stateReason = previous.stateReason;
+      strategy.stateChangedAt = previous.stateChangedAt;
+      strategy.consecutiveFatalErrors = previous.consecutiveFatalErrors;
+    }
+    strategy.lastExecution = previous.lastExecution;
+    strategy.lastError = previous.lastError;
+    strategy.executionCount = previous.executionCount;
+    strategy.circuitBreaker.inherit(previous.circuitBreaker);
   }
 
   /**
@@ -74,7 +327,7 @@ class Scheduler {
    * @returns {Observable<void>}
    */
   executeStrategy(strategy) {
-    return strategy.execute(this.kafkaPublisher).pipe(
+    return strategy.execute(this.publisher).pipe(
       tap(result => {
         if (result.skipped) {
           logger.debug(`[${strategy.name}] ${result.reason}`);
@@ -90,6 +343,23 @@ class Scheduler {
     );
   }
 
+  /**
+   * Entrega a una estrategia un evento recibido por webhook
+   * Los registros se publican por el mismo publisher que las ejecuciones programadas.
+   * Lanza un error si la fuente no existe o no está habilitada (pausada o deshabilitada).
+   * @param {string} strategyName - Nombre de la estrategia
+   * @param {Object} request - { headers, body } de la petición HTTP (body como Buffer)
+   * @returns {Observable<Object>}
+   */
+  handleWebhook(strategyName, request) {
+    const strategy = this.getStrategy(strategyName);
+
+    if (!strategy.isSchedulable()) {
+      throw new Error(`La fuente '${strategyName}' está en estado '${strategy.state}' y no recibe webhooks`);
+    }
+    return defer(() => strategy.handleWebhook(request, this.publisher));
+  }
+
   /**
    * Detiene el scheduler y limpia recursos
    * @returns {Observable<void>}
@@ -104,9 +374,14 @@ class Scheduler {
     // 1. Emitir señal de cierre para detener todos los timers
     this.shutdown$.next();
     this.shutdown$.complete();
+    this.subscriptions.clear();
 
-    // 2. Desconectar Kafka
-    return this.kafkaPublisher.disconnect().pipe(
+    // 2. Cerrar checkpoints, dead letters y sinks, y desconectar Kafka
+    return this.checkpointStore.close().pipe(
+      switchMap(() => (this.deadLetterQueue ? this.deadLetterQueue.close() : of(undefined))),
+      switchMap(() => (this.outbox ? this.outbox.stop() : of(undefined))),
+      switchMap(() => this.sinkRouter.close()),
+      switchMap(() => this.kafkaPublisher.disconnect()),
       tap(() => {
         this.isRunning = false;
         logger.info('Scheduler detenido');
@@ -114,6 +389,42 @@ class Scheduler {
     );
   }
 
+  /**
+   * Ejecuta una fuente una sola vez, sin programarla, y libera los recursos
+   * Lo usa la CLI (bin/connector.js run). La fuente se ejecuta aunque esté
+   * deshabilitada en la configuración.
+   * @param {string} strategyName - Nombre de la fuente
+   * @returns {Observable<Object>} - Resultado de strategy.execute()
+   */
+  runOnce(strategyName) {
+    const config = this.sourcesConfig.find(source => source.name === strategyName);
+    if (!config) {
+      return throwError(() => new Error(`Fuente '${strategyName}' no encontrada`));
+    }
+
+    return of(undefined).pipe(
+      switchMap(() => this.connectKafka()),
+      switchMap(() => this.sinkRouter.init()),
+      switchMap(() => this.checkpointStore.init()),
+      switchMap(() => (this.deadLetterQueue ? this.deadLetterQueue.init() : of(undefined))),
+      switchMap(() => {
+        const strategy = this.strategyFactory.createStrategy(config);
+        this.attachServices(strategy);
+        this.strategies = [strategy];
+        this.isRunning = true;
+        return strategy.execute(this.publisher);
+      }),
+      switchMap(result => this.stop().pipe(map(() => result))),
+      catchError(error => {
+        this.isRunning = true;
+        return this.stop().pipe(
+          catchError(() => of(undefined)),
+          switchMap(() => throwError(() => error))
+        );
+      })
+    );
+  }
+
   /**
    * Obtiene el estado del scheduler y todas las estrategias
    * @returns {Object}
@@ -122,6 +433,8 @@ class Scheduler {
     return {
       isRunning: this.isRunning,
       kafkaConnected: this.kafkaPublisher.isHealthy(),
+      outbox: this.outbox ? this.outbox.getStatus() : null,
+      sinks: this.sinkRouter.getStatus(),
       strategies: this.strategies.map(s => s.getStatus()),
     };
   }
@@ -138,9 +451,88 @@ class Scheduler {
       return throwError(() => new Error(`Estrategia '${strategyName}' no encontrada`));
     }
 
+    try {
+      this.assertSecretsResolved(strategy);
+    } catch (error) {
+      return throwError(() => error);
+    }
+
     logger.info(`Ejecutando manualmente estrategia '${strategyName}'`);
     return this.executeStrategy(strategy);
   }
+
+  /**
+   * Pausa las ejecuciones programadas de una estrategia
+   * Las ejecuciones manuales siguen permitidas.
+   * @param {string} strategyName - Nombre de la estrategia
+   */
+  pauseStrategy(strategyName) {
+    this.getStrategy(strategyName).pause();
+    logger.info(`Estrategia '${strategyName}' pausada`);
+  }
+
+  /**
+   * Reanuda las ejecuciones programadas de una estrategia pausada
+   * @param {string} strategyName - Nombre de la estrategia
+   */
+  resumeStrategy(strategyName) {
+    this.getStrategy(strategyName).resume();
+    logger.info(`Estrategia '${strategyName}' reanudada`);
+  }
+
+  /**
+   * Habilita una estrategia deshabilitada, auto-deshabilitada o pausada
+   * @param {string} strategyName - Nombre de la estrategia
+   */
+  enableStrategy(strategyName) {
+    const strategy = this.getStrategy(strategyName);
+    this.assertSecretsResolved(strategy);
+    strategy.enable();
+    logger.info(`Estrategia '${strategyName}' habilitada`);
+
+    // Una fuente cuya planificación se detuvo por error se vuelve a programar
+    if (this.isRunning && !this.subscriptions.has(strategyName) && strategy.getScheduleConfig()) {
+      this.scheduleStrategy(strategy);
+    }
+  }
+
+  /**
+   * Deshabilita una estrategia hasta que se vuelva a habilitar
+   * @param {string} strategyName - Nombre de la estrategia
+   * @param {string} reason - Motivo
+   */
+  disableStrategy(strategyName, reason) {
+    this.getStrategy(strategyName).disable(reason);
+    logger.info(`Estrategia '${strategyName}' deshabilitada`);
+  }
+
+  /**
+   * Verifica que la fuente no tenga referencias a secretos sin resolver (las
+   * fuentes con `enabled: false` se cargan aunque falten sus secretos)
+   * @param {BaseStrategy} strategy
+   * @throws {Error} Con las referencias pendientes
+   */
+  assertSecretsResolved(strategy) {
+    const references = secretResolver.findReferences(strategy.config);
+    if (references.length > 0) {
+      throw new Error(`La fuente '${strategy.name}' tiene secretos sin resolver (${references.join(', ')}); defínalos y recargue la configuración`);
+    }
+  }
+
+  /**
+   * Obtiene una estrategia por nombre
+   * @param {string} strategyName - Nombre de la estrategia
+   * @returns {BaseStrategy}
+   */
+  getStrategy(strategyName) {
+    const strategy = this.strategies.find(s => s.name === strategyName);
+
+    if (!strategy) {
+      throw new Error(`Estrategia '${strategyName}' no encontrada`);
+    }
+
+    return strategy;
+  }
 }
 
 module.exports = Scheduler;
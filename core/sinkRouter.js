@@ -0,0 +1,201 @@
+// core/sinkRouter.js
+const logger = require('./logger');
+const KafkaSink = require('./sinks/kafkaSink');
+const FileSink = require('./sinks/fileSink');
+const StdoutSink = require('./sinks/stdoutSink');
+const WebhookSink = require('./sinks/webhookSink');
+const { of, from, defer, forkJoin, throwError } = require('rxjs');
+const { map, tap, catchError, concatMap, toArray, switchMap } = require('rxjs/operators');
+
+const SINKS = {
+  kafka: KafkaSink,
+  file: FileSink,
+  stdout: StdoutSink,
+  webhook: WebhookSink
+};
+
+// Sinks disponibles sin declararlos en la sección "sinks" de sources.json
+const BUILT_IN_SINKS = {
+  kafka: { type: 'kafka' },
+  stdout: { type: 'stdout' }
+};
+
+// Sinks de las fuentes que no configuran `sinks`
+const DEFAULT_SINKS = ['kafka'];
+
+/**
+ * Destinos de los registros publicados por las estrategias
+ * Cada fuente elige en `sinks` uno o más sinks por nombre: los predefinidos
+ * (`kafka`, `stdout`) o los declarados en la sección "sinks" de sources.json.
+ *
+ * Tiene la misma interfaz que KafkaPublisher.publish(): cada lote se envía a
+ * los sinks de `metadata.source` y falla si falla alguno de ellos (el lote va a
+ * la DLQ y el cursor no avanza, por lo que los demás sinks pueden recibirlo de
+ * nuevo en la siguiente ejecución).
+ *
+ * Interfaz de los sinks:
+ * - init(), close(): Observable<void>
+ * - publish(topic, data, metadata): Observable
+ * - getStatus(): Object, opcional
+ */
+class SinkRouter {
+  /**
+   * @param {Object} config - Sección "sinks" de sources.json: { [nombre]: { type, ... } }
+   * @param {Object} services - Dependencias de los sinks
+   * @param {KafkaPublisher} services.kafkaPublisher - Publisher compartido
+   * @param {Outbox} services.outbox - Outbox local (opcional, usado por el sink de Kafka)
+   */
+  constructor(config = {}, services = {}) {
+    this.sinks = new Map();
+    this.stats = new Map();
+    this.routes = new Map();
+
+    Object.entries({ ...BUILT_IN_SINKS, ...config }).forEach(([name, definition]) => {
+      const Sink = SINKS[definition.type];
+      if (!Sink) {
+        throw new Error(`Tipo de sink no soportado en '${name}': ${definition.type}. Disponibles: ${Object.keys(SINKS).join(', ')}`);
+      }
+
+      this.sinks.set(name, { type: definition.type, sink: new Sink(definition, { ...services, name }) });
+      this.stats.set(name, { batches: 0, failures: 0, lastPublishedAt: null, lastError: null });
+    });
+  }
+
+  /**
+   * Asigna los sinks de cada fuente. Si alguna referencia un sink
+   * inexistente no se aplica ningún cambio.
+   * @param {Array<Object>} sourcesConfig - Configuraciones de las fuentes
+   */
+  setSources(sourcesConfig) {
+    this.routes = new Map(sourcesConfig.map(config => [config.name, this.resolve(config)]));
+  }
+
+  /**
+   * Sinks de una fuente
+   * @param {Object} sourceConfig - Configuración de la fuente
+   * @returns {Array<string>} - Nombres de los sinks
+   * @throws {Error} - Si algún sink no existe
+   */
+  resolve(sourceConfig) {
+    const names = sourceConfig.sinks || DEFAULT_SINKS;
+    const unknown = names.filter(name => !this.sinks.has(name));
+
+    if (unknown.length > 0) {
+      throw new Error(`Fuente '${sourceConfig.name}': sinks no definidos: ${unknown.join(', ')}. Disponibles: ${[...this.sinks.keys()].join(', ')}`);
+    }
+    return names;
+  }
+
+  /**
+   * Indica si alguna fuente publica en Kafka
+   * @returns {boolean}
+   */
+  usesKafka() {
+    return [...this.routes.values()].some(names => names.some(name => this.sinks.get(name).type === 'kafka'));
+  }
+
+  /**
+   * @returns {Observable<void>}
+   */
+  init() {
+    return from([...this.sinks.values()]).pipe(
+      concatMap(({ sink }) => sink.init()),
+      toArray(),
+      map(() => undefined)
+    );
+  }
+
+  /**
+   * Abre la transacción de Kafka de una ejecución, si la fuente publica en
+   * Kafka y el modo transaccional está habilitado
+   * @param {string} source - Nombre de la fuente
+   * @returns {Observable<KafkaTransaction|null>}
+   */
+  beginTransaction(source) {
+    return defer(() => {
+      const kafkaSink = (this.routes.get(source) || DEFAULT_SINKS)
+        .map(name => this.sinks.get(name))
+        .find(({ type }) => type === 'kafka');
+      return kafkaSink ? kafkaSink.sink.beginTransaction(source) : of(null);
+    });
+  }
+
+  /**
+   * Publica un lote en los sinks de su fuente, en paralelo
+   * @param {string} topic - Tópico destino
+   * @param {Object|Array} data - Datos a publicar
+   * @param {Object} metadata - Metadata (source, type)
+   * @param {KafkaTransaction} transaction - Transacción de la ejecución (solo la usa el sink de Kafka)
+   * @returns {Observable<void>}
+   */
+  publish(topic, data, metadata = {}, transaction = null) {
+    return defer(() => {
+      const names = this.routes.get(metadata.source) || DEFAULT_SINKS;
+      return forkJoin(names.map(name => this.publishTo(name, topic, data, metadata, transaction)));
+    }).pipe(
+      switchMap(errors => {
+        const error = errors.find(item => item !== null);
+        return error ? throwError(() => error) : of(undefined);
+      })
+    );
+  }
+
+  /**
+   * Publica en un sink. Emite null o el error, sin fallar.
+   * @returns {Observable<Error|null>}
+   * @private
+   */
+  publishTo(name, topic, data, metadata, transaction) {
+    const { sink } = this.sinks.get(name);
+    const stats = this.stats.get(name);
+
+    return defer(() => sink.publish(topic, data, metadata, transaction)).pipe(
+      toArray(),
+      tap(() => {
+        stats.batches++;
+        stats.lastPublishedAt = new Date();
+        stats.lastError = null;
+      }),
+      map(() => null),
+      catchError(error => {
+        stats.failures++;
+        stats.lastError = error.message;
+        logger.error(`[${metadata.source}] Error publicando '${topic}' en el sink '${name}': ${error.message}`);
+        return of(error);
+      })
+    );
+  }
+
+  /**
+   * @returns {Observable<void>}
+   */
+  close() {
+    return from([...this.sinks.values()]).pipe(
+      concatMap(({ sink }) => sink.close()),
+      toArray(),
+      map(() => undefined)
+    );
+  }
+
+  /**
+   * Estado de los sinks para el estado del scheduler
+   * @returns {Object} - { [nombre]: { type, batches, failures, lastPublishedAt, lastError, ... } }
+   */
+  getStatus() {
+    return Object.fromEntries([...this.sinks.entries()].map(([name, { type, sink }]) => [name, {
+      type,
+      ...this.stats.get(name),
+      ...(sink.getStatus ? sink.getStatus() : {})
+    }]));
+  }
+}
+
+/**
+ * @param {string} type - Tipo de sink
+ * @returns {Function|undefined} - Clase del sink
+ */
+SinkRouter.getSinkClass = type => SINKS[type];
+
+SinkRouter.BUILT_IN_SINKS = Object.keys(BUILT_IN_SINKS);
+
+module.exports = SinkRouter;
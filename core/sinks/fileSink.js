@@ -0,0 +1,123 @@
+// core/sinks/fileSink.js
+const fs = require('fs');
+const path = require('path');
+const { defer, of } = require('rxjs');
+const { switchMap, map } = require('rxjs/operators');
+const logger = require('../logger');
+
+/**
+ * Sink sobre archivos NDJSON locales, uno por tópico (`<path>/<tópico>.ndjson`)
+ * Cada línea tiene el formato { topic, key, headers, value } de StdoutSink.
+ * Cuando el archivo supera `maxBytes` se rota a `<tópico>.<timestamp>.ndjson`
+ * y se conservan solo los `maxFiles` archivos rotados más recientes.
+ */
+class FileSink {
+  /**
+   * @param {Object} config - Definición del sink
+   * @param {string} config.path - Directorio (relativo a la raíz del proyecto)
+   * @param {number} config.maxBytes - Tamaño a partir del cual se rota el archivo
+   * @param {number} config.maxFiles - Archivos rotados a conservar por tópico
+   * @param {Object} services
+   * @param {KafkaPublisher} services.kafkaPublisher - Usado solo para formatear los mensajes
+   */
+  constructor(config = {}, { kafkaPublisher }) {
+    this.dir = path.resolve(path.join(__dirname, '..', '..'), config.path || 'data/sinks');
+    this.maxBytes = config.maxBytes || 64 * 1024 * 1024;
+    this.maxFiles = config.maxFiles || 10;
+    this.kafkaPublisher = kafkaPublisher;
+  }
+
+  /**
+   * @returns {Observable<void>}
+   */
+  init() {
+    return defer(() => {
+      fs.mkdirSync(this.dir, { recursive: true });
+      return of(undefined);
+    });
+  }
+
+  /**
+   * @param {string} topic - Tópico destino
+   * @param {Object|Array} data - Datos a publicar
+   * @param {Object} metadata - Metadata (source, type)
+   * @returns {Observable<void>}
+   */
+  publish(topic, data, metadata = {}) {
+    if (Array.isArray(data) && data.length === 0) {
+      return of(undefined);
+    }
+
+    return this.kafkaPublisher.prepareMessages(data, metadata).pipe(
+      switchMap(messages => defer(() => {
+        const content = messages
+          .map(({ key, headers, value }) => `${JSON.stringify({ topic, key, headers, value: JSON.parse(value) })}\n`)
+          .join('');
+        const filePath = this.filePath(topic);
+
+        fs.mkdirSync(this.dir, { recursive: true });
+        if (fs.existsSync(filePath) && fs.statSync(filePath).size + Buffer.byteLength(content) > this.maxBytes) {
+          this.rotate(topic);
+        }
+        fs.appendFileSync(filePath, content);
+        return of(undefined);
+      })),
+      map(() => undefined)
+    );
+  }
+
+  /**
+   * Renombra el archivo actual del tópico y elimina los rotados más antiguos
+   * @param {string} topic - Tópico
+   * @private
+   */
+  rotate(topic) {
+    const base = encodeURIComponent(topic);
+    let stamp = Date.now();
+    while (fs.existsSync(path.join(this.dir, `${base}.${stamp}.ndjson`))) {
+      stamp++;
+    }
+    fs.renameSync(this.filePath(topic), path.join(this.dir, `${base}.${stamp}.ndjson`));
+
+    const rotated = fs.readdirSync(this.dir)
+      .filter(file => file.startsWith(`${base}.`) && /^\.\d+\.ndjson$/.test(file.slice(base.length)))
+      .sort();
+
+    rotated.slice(0, Math.max(rotated.length - this.maxFiles, 0)).forEach(file => {
+      fs.rmSync(path.join(this.dir, file), { force: true });
+    });
+    logger.debug(`Sink de archivos: ${topic} rotado (${Math.min(rotated.length, this.maxFiles)} archivos rotados)`);
+  }
+
+  /**
+   * @private
+   */
+  filePath(topic) {
+    return path.join(this.dir, `${encodeURIComponent(topic)}.ndjson`);
+  }
+
+  /**
+   * @returns {Observable<void>}
+   */
+  close() {
+    return of(undefined);
+  }
+
+  /**
+   * @returns {Object}
+   */
+  getStatus() {
+    return { path: this.dir };
+  }
+}
+
+FileSink.configSchema = {
+  type: 'object',
+  properties: {
+    path: { type: 'string', minLength: 1 },
+    maxBytes: { type: 'integer', minimum: 1 },
+    maxFiles: { type: 'integer', minimum: 1 }
+  }
+};
+
+module.exports = FileSink;
@@ -0,0 +1,109 @@
+// core/sinks/kafkaSink.js
+const { of, defer } = require('rxjs');
+const { switchMap, finalize, shareReplay } = require('rxjs/operators');
+
+/**
+ * Sink de Kafka: publica con KafkaPublisher o, si está habilitado, a través
+ * del outbox local, que drena a Kafka cuando el broker está disponible.
+ * En modo transaccional (sin outbox) los lotes de cada ejecución se publican
+ * en la transacción abierta con beginTransaction().
+ *
+ * Si el broker no estaba conectado (por ejemplo, una recarga agregó la
+ * primera fuente que publica en Kafka) se conecta en el primer publish().
+ */
+class KafkaSink {
+  /**
+   * @param {Object} config - Definición del sink (sin opciones propias)
+   * @param {Object} services
+   * @param {KafkaPublisher} services.kafkaPublisher - Publisher compartido
+   * @param {Outbox} services.outbox - Outbox local (opcional)
+   */
+  constructor(config = {}, { kafkaPublisher, outbox = null }) {
+    if (outbox && kafkaPublisher.isTransactional()) {
+      throw new Error('El modo transaccional de Kafka (producer.transactionalId) no es compatible con el outbox');
+    }
+
+    this.kafkaPublisher = kafkaPublisher;
+    this.outbox = outbox;
+    this.connection$ = null;
+  }
+
+  /**
+   * La conexión al broker la gestiona el Scheduler
+   * @returns {Observable<void>}
+   */
+  init() {
+    return of(undefined);
+  }
+
+  /**
+   * @param {string} topic - Tópico destino
+   * @param {Object|Array} data - Datos a publicar
+   * @param {Object} metadata - Metadata (source, type)
+   * @param {KafkaTransaction} transaction - Transacción de la ejecución (opcional)
+   * @returns {Observable<void>}
+   */
+  publish(topic, data, metadata = {}, transaction = null) {
+    if (transaction) {
+      return transaction.publish(topic, data, metadata);
+    }
+    if (this.outbox) {
+      return this.outbox.publish(topic, data, metadata);
+    }
+    return this.ensureConnected().pipe(
+      switchMap(() => this.kafkaPublisher.publish(topic, data, metadata))
+    );
+  }
+
+  /**
+   * Abre la transacción de una ejecución si el modo transaccional está habilitado
+   * @param {string} source - Nombre de la fuente
+   * @returns {Observable<KafkaTransaction|null>}
+   */
+  beginTransaction(source) {
+    if (!this.kafkaPublisher.isTransactional()) {
+      return of(null);
+    }
+    return this.ensureConnected().pipe(
+      switchMap(() => this.kafkaPublisher.beginTransaction(source))
+    );
+  }
+
+  /**
+   * Conecta el publisher si aún no lo está; los publish() concurrentes
+   * comparten una única conexión
+   * @returns {Observable<void>}
+   * @private
+   */
+  ensureConnected() {
+    if (this.kafkaPublisher.isHealthy()) {
+      return of(undefined);
+    }
+
+    if (!this.connection$) {
+      this.connection$ = defer(() => this.kafkaPublisher.connect()).pipe(
+        finalize(() => {
+          this.connection$ = null;
+        }),
+        shareReplay(1)
+      );
+    }
+    return this.connection$;
+  }
+
+  /**
+   * @returns {Observable<void>}
+   */
+  close() {
+    return of(undefined);
+  }
+
+  /**
+   * @returns {Object}
+   */
+  getStatus() {
+    return { connected: this.kafkaPublisher.isHealthy(), outbox: Boolean(this.outbox) };
+  }
+}
+
+module.exports = KafkaSink;
@@ -0,0 +1,58 @@
+// core/sinks/stdoutSink.js
+const { of } = require('rxjs');
+const { map, tap } = require('rxjs/operators');
+
+/**
+ * Sink que escribe cada mensaje, con el mismo formato que recibiría Kafka,
+ * como una línea NDJSON { topic, key, headers, value } en stdout.
+ * Útil para correr el conector localmente sin broker; conviene usarlo con
+ * LOG_TO_STDERR=true para que los logs no se mezclen con los mensajes.
+ */
+class StdoutSink {
+  /**
+   * @param {Object} config - Definición del sink (sin opciones propias)
+   * @param {Object} services
+   * @param {KafkaPublisher} services.kafkaPublisher - Usado solo para formatear los mensajes
+   * @param {stream.Writable} services.stream - Destino (por defecto process.stdout)
+   */
+  constructor(config = {}, { kafkaPublisher, stream = process.stdout }) {
+    this.kafkaPublisher = kafkaPublisher;
+    this.stream = stream;
+  }
+
+  /**
+   * @returns {Observable<void>}
+   */
+  init() {
+    return of(undefined);
+  }
+
+  /**
+   * @param {string} topic - Tópico destino
+   * @param {Object|Array} data - Datos a publicar
+   * @param {Object} metadata - Metadata (source, type)
+   * @returns {Observable<void>}
+   */
+  publish(topic, data, metadata = {}) {
+    if (Array.isArray(data) && data.length === 0) {
+      return of(undefined);
+    }
+
+    return this.kafkaPublisher.prepareMessages(data, metadata).pipe(
+      tap(messages => {
+        const lines = messages.map(({ key, headers, value }) => JSON.stringify({ topic, key, headers, value: JSON.parse(value) }));
+        this.stream.write(`${lines.join('\n')}\n`);
+      }),
+      map(() => undefined)
+    );
+  }
+
+  /**
+   * @returns {Observable<void>}
+   */
+  close() {
+    return of(undefined);
+  }
+}
+
+module.exports = StdoutSink;
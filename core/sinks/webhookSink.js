@@ -0,0 +1,133 @@
+// core/sinks/webhookSink.js
+const { of, from } = require('rxjs');
+const { switchMap, concatMap, toArray, map } = require('rxjs/operators');
+const httpClient = require('../../utils/httpClient');
+const AuthProvider = require('../authProvider');
+
+/**
+ * Sink que envía los mensajes por HTTP a un sistema externo
+ * Cada petición lleva en el cuerpo { topic, messages: [{ key, headers, value }] }
+ * con hasta `batchSize` mensajes; un lote mayor se envía en varias peticiones,
+ * en orden. La autenticación usa los mismos tipos que las fuentes (`auth`).
+ *
+ * @example
+ * "sinks": {
+ *   "legacy": {
+ *     "type": "webhook",
+ *     "url": "https://legacy.example.com/ingest",
+ *     "auth": { "type": "bearer", "token": "${env:LEGACY_TOKEN}" },
+ *     "batchSize": 200
+ *   }
+ * }
+ */
+class WebhookSink {
+  /**
+   * @param {Object} config - Definición del sink
+   * @param {string} config.url - URL destino
+   * @param {string} config.method - Método HTTP (por defecto POST)
+   * @param {Object} config.headers - Headers adicionales
+   * @param {Object} config.auth - Autenticación (ver AuthProvider)
+   * @param {number} config.batchSize - Mensajes por petición
+   * @param {number} config.timeout - Timeout de cada petición en ms
+   * @param {Object} services
+   * @param {KafkaPublisher} services.kafkaPublisher - Usado solo para formatear los mensajes
+   * @param {string} services.name - Nombre del sink (logs y métricas)
+   */
+  constructor(config = {}, { kafkaPublisher, name }) {
+    if (!config.url) {
+      throw new Error(`El sink '${name}' (webhook) requiere "url"`);
+    }
+
+    this.config = config;
+    this.name = name;
+    this.batchSize = config.batchSize || 500;
+    this.kafkaPublisher = kafkaPublisher;
+    this.authProvider = new AuthProvider(config.auth, { source: `sink:${name}` });
+  }
+
+  /**
+   * @returns {Observable<void>}
+   */
+  init() {
+    return of(undefined);
+  }
+
+  /**
+   * @param {string} topic - Tópico destino
+   * @param {Object|Array} data - Datos a publicar
+   * @param {Object} metadata - Metadata (source, type)
+   * @returns {Observable<void>}
+   */
+  publish(topic, data, metadata = {}) {
+    if (Array.isArray(data) && data.length === 0) {
+      return of(undefined);
+    }
+
+    return this.kafkaPublisher.prepareMessages(data, metadata).pipe(
+      switchMap(messages => from(this.chunk(messages))),
+      concatMap(messages => this.send(topic, messages)),
+      toArray(),
+      map(() => undefined)
+    );
+  }
+
+  /**
+   * @param {string} topic - Tópico destino
+   * @param {Array<Object>} messages - Mensajes con el formato de KafkaPublisher
+   * @returns {Observable<Object>}
+   * @private
+   */
+  send(topic, messages) {
+    return this.authProvider.withAuth(authHeaders => httpClient.request({
+      method: this.config.method || 'POST',
+      url: this.config.url,
+      timeout: this.config.timeout,
+      headers: { 'Content-Type': 'application/json', ...this.config.headers, ...authHeaders },
+      data: {
+        topic,
+        messages: messages.map(({ key, headers, value }) => ({ key, headers, value: JSON.parse(value) }))
+      },
+      source: `sink:${this.name}`
+    }), this.config.url);
+  }
+
+  /**
+   * @private
+   */
+  chunk(messages) {
+    const chunks = [];
+    for (let i = 0; i < messages.length; i += this.batchSize) {
+      chunks.push(messages.slice(i, i + this.batchSize));
+    }
+    return chunks;
+  }
+
+  /**
+   * @returns {Observable<void>}
+   */
+  close() {
+    return of(undefined);
+  }
+
+  /**
+   * @returns {Object}
+   */
+  getStatus() {
+    return { url: this.config.url, auth: this.authProvider.getStatus() };
+  }
+}
+
+WebhookSink.configSchema = {
+  type: 'object',
+  required: ['url'],
+  properties: {
+    url: { type: 'string', pattern: '^https?://' },
+    method: { enum: ['POST', 'PUT', 'PATCH', 'post', 'put', 'patch'] },
+    headers: { type: 'object', additionalProperties: { type: 'string' } },
+    auth: { type: ['object', 'null'], properties: { type: { type: 'string' } } },
+    batchSize: { type: 'integer', minimum: 1 },
+    timeout: { type: 'integer', minimum: 1 }
+  }
+};
+
+module.exports = WebhookSink;
@@ -0,0 +1,177 @@
+// core/sourceSchedule.js
+const cronParser = require('cron-parser');
+const { defer, timer } = require('rxjs');
+const { map, repeat, ignoreElements } = require('rxjs/operators');
+
+// Límite de candidatos a evaluar para no iterar indefinidamente si una
+// ventana de bloqueo cubre todas las ejecuciones posibles.
+const MAX_CANDIDATES = 10000;
+
+// Mayor espera que admite setTimeout (~24,8 días); con más se dispara de inmediato
+const MAX_TIMER_DELAY = 2 ** 31 - 1;
+
+/**
+ * Planificación de ejecuciones de una fuente
+ * Soporta intervalo fijo (`interval`) o expresión cron (`schedule`) con zona
+ * horaria, y ventanas de bloqueo (`blackoutWindows`) en las que no se ejecuta.
+ *
+ * @example
+ * {
+ *   "schedule": "0 2 * * *",
+ *   "timezone": "America/Argentina/Buenos_Aires",
+ *   "blackoutWindows": [{ "start": "23:30", "end": "01:00", "days": [1, 2, 3, 4, 5] }]
+ * }
+ */
+class SourceSchedule {
+  /**
+   * @param {Object} config - Configuración de la fuente
+   * @param {number} config.interval - Intervalo en ms (si no hay `schedule`)
+   * @param {string} config.schedule - Expresión cron (5 o 6 campos)
+   * @param {string} config.timezone - Zona horaria IANA para cron y ventanas
+   * @param {Array<Object>} config.blackoutWindows - Ventanas { start: 'HH:mm', end: 'HH:mm', days?: [0-6] }
+   */
+  constructor(config) {
+    this.interval = config.interval || 60000;
+    this.cron = config.schedule || null;
+    this.timezone = config.timezone || undefined;
+    this.blackoutWindows = (config.blackoutWindows || []).map(window => this.parseWindow(window));
+    this.nextRunAt = null;
+    this.lastPlannedAt = null;
+
+    if (this.cron) {
+      // Valida la expresión al crear la planificación
+      cronParser.parseExpression(this.cron, { tz: this.timezone });
+    }
+
+    this.clockFormatter = new Intl.DateTimeFormat('en-US', {
+      timeZone: this.timezone,
+      hourCycle: 'h23',
+      weekday: 'short',
+      hour: '2-digit',
+      minute: '2-digit'
+    });
+  }
+
+  /**
+   * Convierte una ventana de configuración a minutos del día
+   * @param {Object} window - { start: 'HH:mm', end: 'HH:mm', days?: Array<number> }
+   * @returns {Object}
+   * @private
+   */
+  parseWindow(window) {
+    const toMinutes = value => {
+      const match = /^(\d{1,2}):(\d{2})$/.exec(value || '');
+      if (!match || Number(match[1]) > 23 || Number(match[2]) > 59) {
+        throw new Error(`Hora inválida en blackoutWindows: '${value}' (formato HH:mm)`);
+      }
+      return Number(match[1]) * 60 + Number(match[2]);
+    };
+
+    return {
+      start: toMinutes(window.start),
+      end: toMinutes(window.end),
+      days: Array.isArray(window.days) ? window.days : null
+    };
+  }
+
+  /**
+   * Indica si una fecha cae dentro de alguna ventana de bloqueo
+   * Las ventanas con end < start cruzan la medianoche.
+   * @param {Date} date
+   * @returns {boolean}
+   */
+  isInBlackout(date) {
+    if (this.blackoutWindows.length === 0) {
+      return false;
+    }
+
+    const parts = Object.fromEntries(
+      this.clockFormatter.formatToParts(date).map(({ type, value }) => [type, value])
+    );
+    const weekdays = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+    const day = weekdays.indexOf(parts.weekday);
+    const minutes = Number(parts.hour) * 60 + Number(parts.minute);
+
+    return this.blackoutWindows.some(({ start, end, days }) => {
+      if (days && !days.includes(day)) {
+        return false;
+      }
+      return start <= end
+        ? minutes >= start && minutes < end
+        : minutes >= start || minutes < end;
+    });
+  }
+
+  /**
+   * Calcula la próxima ejecución planificada fuera de las ventanas de bloqueo
+   * @param {Date} now - Momento de referencia
+   * @returns {Date}
+   */
+  computeNextRun(now = new Date()) {
+    let candidate;
+    let advance;
+
+    if (this.cron) {
+      // Nunca antes de la última ejecución planificada, para no repetirla
+      const from = this.lastPlannedAt && this.lastPlannedAt > now ? this.lastPlannedAt : now;
+      const iterator = cronParser.parseExpression(this.cron, { tz: this.timezone, currentDate: from });
+      candidate = iterator.next().toDate();
+      advance = () => iterator.next().toDate();
+    } else {
+      // La primera ejecución es inmediata, igual que timer(0, interval)
+      candidate = this.lastPlannedAt
+        ? new Date(Math.max(this.lastPlannedAt.getTime() + this.interval, now.getTime()))
+        : now;
+      advance = previous => new Date(previous.getTime() + this.interval);
+    }
+
+    for (let i = 0; i < MAX_CANDIDATES && this.isInBlackout(candidate); i++) {
+      candidate = advance(candidate);
+    }
+
+    if (this.isInBlackout(candidate)) {
+      throw new Error('Las ventanas de bloqueo impiden cualquier ejecución');
+    }
+
+    return candidate;
+  }
+
+  /**
+   * Flujo que emite en cada ejecución planificada
+   * @returns {Observable<Date>}
+   */
+  ticks() {
+    return defer(() => {
+      const next = this.computeNextRun();
+      this.nextRunAt = next;
+
+      // Ejecuciones lejanas (p. ej. cron anual): se espera por tramos y se recalcula
+      if (next.getTime() - Date.now() > MAX_TIMER_DELAY) {
+        return timer(MAX_TIMER_DELAY).pipe(ignoreElements());
+      }
+
+      return timer(next).pipe(
+        map(() => {
+          this.lastPlannedAt = next;
+          return next;
+        })
+      );
+    }).pipe(repeat());
+  }
+
+  /**
+   * Descripción legible para logs
+   * @returns {string}
+   */
+  describe() {
+    const base = this.cron
+      ? `con cron '${this.cron}'${this.timezone ? ` (${this.timezone})` : ''}`
+      : `cada ${this.interval / 1000}s`;
+
+    return this.blackoutWindows.length > 0
+      ? `${base}, con ${this.blackoutWindows.length} ventana(s) de bloqueo`
+      : base;
+  }
+}
+
+module.exports = SourceSchedule;
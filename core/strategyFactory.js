@@ -100,6 +100,15 @@ class StrategyFactory {
     return Array.from(this.availableStrategies.keys());
   }
 
+  /**
+   * Obtiene la clase de una estrategia
+   * @param {string} type - Tipo de estrategia
+   * @returns {Function|undefined}
+   */
+  getStrategyClass(type) {
+    return this.availableStrategies.get(type);
+  }
+
   /**
    * Verifica si una estrategia est disponible
    * @param {string} type - Tipo de estrategia
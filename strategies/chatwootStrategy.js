@@ -1,22 +1,52 @@
 // strategies/chatwootStrategy.js
 const BaseStrategy = require('../core/baseStrategy');
 const logger = require('../core/logger');
-const { of, from, throwError, EMPTY } = require('rxjs');
-const { expand, map, reduce, switchMap, tap, catchError } = require('rxjs/operators');
+const errorHandler = require('../utils/errorHandler');
+const crypto = require('crypto');
+const { of, from, throwError } = require('rxjs');
+const { map, reduce, switchMap, mergeMap, toArray, tap, catchError } = require('rxjs/operators');
+
+// Eventos de webhook que publican el estado de la conversación
+const CONVERSATION_EVENTS = [
+  'conversation_created',
+  'conversation_updated',
+  'conversation_status_changed'
+];
 
 /**
  * Estrategia para extraer conversaciones de Chatwoot
- * Captura conversaciones nuevas mediante polling peri�dico del API
+ * Mediante polling peri�dico del API detecta las conversaciones con actividad
+ * desde la última ejecución (creación, cambios de estado, asignaciones,
+ * etiquetas o mensajes) y obtiene sus mensajes nuevos.
+ *
+ * Publica dos tipos de eventos:
+ * - chatwoot.conversation_updated: estado actual de la conversación, en `kafkaTopic`
+ * - chatwoot.message_created: un evento por mensaje nuevo, en `topics.messages`
+ *
+ * Con `mode: 'webhook'` los eventos llegan por push a POST /webhooks/<fuente>
+ * del servidor de administración, firmados con `webhook.secret`. Opcionalmente
+ * se mantiene un polling de reconciliación cada `webhook.reconcileInterval` ms.
  */
 class ChatwootStrategy extends BaseStrategy {
   constructor(config) {
     super(config);
-    this.lastExecutionTime = null;
+
+    this.mode = config.mode || 'polling';
+    this.webhookEventsReceived = 0;
+    this.lastWebhookAt = null;
+
+    if (!['polling', 'webhook'].includes(this.mode)) {
+      throw new Error(`Modo de Chatwoot no soportado: ${this.mode}. Disponibles: polling, webhook`);
+    }
+
+    if (this.mode === 'webhook' && !config.webhook?.secret) {
+      throw new Error('webhook.secret es requerido en modo webhook');
+    }
   }
 
   /**
-   * Extrae conversaciones de Chatwoot
-   * @returns {Observable<Array>}
+   * Extrae las conversaciones con actividad nueva y sus mensajes
+   * @returns {Observable<Array<{conversation: Object, messages: Array}>>}
    */
   extract() {
     const accountId = this.config.accountId;
@@ -25,38 +55,72 @@ class ChatwootStrategy extends BaseStrategy {
       return throwError(() => new Error('accountId es requerido en la configuración de Chatwoot'));
     }
 
-    // Usamos `expand` para manejar la paginación de forma recursiva
-    return this.fetchConversationsPage(accountId, 1).pipe(
-      expand(({ conversations, page }) => {
-        // Si la última página tuvo menos de 25 resultados, o estaba vacía, paramos.
-        if (!conversations || conversations.length < 25) {
-          return EMPTY;
+    const since = this.getActivityCursor();
+    const boundary = this.getBoundary();
+
+    return this.fetchConversations(accountId).pipe(
+      // Filtramos las conversaciones sin actividad desde la última ejecución
+      map(allConversations => this.filterChangedConversations(allConversations, since)),
+      switchMap(changed => from(changed).pipe(
+        mergeMap(
+          conversation => this.fetchMessages(accountId, conversation, since, boundary.messages).pipe(
+            map(messages => ({ conversation, messages }))
+          ),
+          this.config.messagesConcurrency || 5
+        ),
+        toArray()
+      )),
+      // En el segundo del cursor se descartan las conversaciones ya publicadas sin mensajes nuevos
+      map(items => items.filter(({ conversation, messages }) =>
+        messages.length > 0 ||
+        this.lastActivityOf(conversation) !== since ||
+        !boundary.conversations.has(conversation.id)
+      )),
+      // Se publican en el orden en que ocurrió la actividad
+      map(items => items.sort((a, b) => this.lastActivityOf(a.conversation) - this.lastActivityOf(b.conversation))),
+      tap(items => {
+        const messageCount = items.reduce((total, item) => total + item.messages.length, 0);
+        logger.info(`[${this.name}] Extraídas ${items.length} conversaciones con actividad y ${messageCount} mensajes nuevos`);
+        if (items.length > 0) {
+          // El cursor es la última actividad (unix) vista; se confirma tras publicar
+          const lastActivityAt = Math.max(...items.map(item => this.lastActivityOf(item.conversation)));
+          this.setCursor(lastActivityAt, 'lastActivityAt');
+          this.setBoundary(items, lastActivityAt, lastActivityAt === since ? boundary : null);
         }
-        // Si no, pedimos la siguiente página.
-        return this.fetchConversationsPage(accountId, page + 1);
-      }),
-      // Transformamos el flujo de páginas en un flujo de conversaciones individuales
-      switchMap(({ conversations }) => from(conversations)),
+      })
+    );
+  }
+
+  /**
+   * Obtiene todas las conversaciones de la cuenta recorriendo sus páginas
+   * @param {number} accountId - ID de la cuenta
+   * @returns {Observable<Array>}
+   */
+  fetchConversations(accountId) {
+    // El fin se detecta con una página vacía, así no depende del tamaño de página del servidor
+    return this.paginate({
+      style: 'page',
+      label: 'conversaciones',
+      request: ({ page }) => ({ endpoint: this.conversationsEndpoint(accountId, page), options: { method: 'GET' } }),
+      // Chatwoot devuelve { data: { payload: [...conversations] } }
+      records: response => response.data?.payload || []
+    }).pipe(
       // Acumulamos todas las conversaciones en un solo array
-      reduce((acc, conversation) => [...acc, conversation], []),
-      // Filtramos las conversaciones que ya hemos procesado
-      map(allConversations => this.filterNewConversations(allConversations)),
-      tap(newConversations => {
-        logger.info(`[${this.name}] Extraídas ${newConversations.length} conversaciones nuevas`);
-        if (newConversations.length > 0) {
-          this.lastExecutionTime = new Date().toISOString();
-        }
+      reduce((acc, { records }) => acc.concat(records), []),
+      catchError(error => {
+        logger.error(`[${this.name}] Error obteniendo conversaciones: ${error.message}`);
+        return throwError(() => error);
       })
     );
   }
 
   /**
-   * Obtiene una p�gina de conversaciones del API de Chatwoot
+   * Ruta de una p�gina del listado de conversaciones, con los filtros configurados
    * @param {number} accountId - ID de la cuenta
    * @param {number} page - N�mero de p�gina
-   * @returns {Observable<{conversations: Array, page: number}>}
+   * @returns {string}
    */
-  fetchConversationsPage(accountId, page) {
+  conversationsEndpoint(accountId, page) {
     const endpoint = `/api/v1/accounts/${accountId}/conversations`;
 
     const params = new URLSearchParams({
@@ -78,54 +142,133 @@ class ChatwootStrategy extends BaseStrategy {
       this.config.labels.forEach(label => params.append('labels[]', label));
     }
 
-    // makeRequest debería devolver un Observable (asumiendo que usa httpClient)
-    return this.makeRequest(`${endpoint}?${params.toString()}`, {
-        method: 'GET'
-      }).pipe(
-        // Chatwoot devuelve { data: { payload: [...conversations] } }
-        // Asumimos que makeRequest devuelve el cuerpo de la respuesta.
-        map(response => ({
-            conversations: response.data?.payload || [],
-            page
-        })),
-        catchError(error => {
-            logger.error(`[${this.name}] Error obteniendo página ${page}: ${error.message}`);
-            return throwError(() => error);
-        })
+    return `${endpoint}?${params.toString()}`;
+  }
+
+  /**
+   * Obtiene los mensajes de una conversación creados desde `since`
+   * La API devuelve los mensajes más recientes; los anteriores se piden con
+   * `before=<id>` hasta pasar `since` o alcanzar `maxMessagePages`. Los del
+   * mismo segundo que el cursor se conservan salvo los ya publicados.
+   * @param {number} accountId - ID de la cuenta
+   * @param {Object} conversation - Conversación de Chatwoot
+   * @param {number|null} since - Unix timestamp del cursor (null: historial completo)
+   * @param {Set} publishedIds - Ids de los mensajes ya publicados en el segundo del cursor
+   * @returns {Observable<Array>} - Mensajes ordenados por id
+   */
+  fetchMessages(accountId, conversation, since, publishedIds = new Set()) {
+    const endpoint = `/api/v1/accounts/${accountId}/conversations/${conversation.id}/messages`;
+
+    return this.paginate({
+      style: 'cursor',
+      label: `mensajes de la conversación ${conversation.id}`,
+      maxPages: this.config.maxMessagePages || 20,
+      request: ({ next }) => ({ endpoint: next ? `${endpoint}?before=${next}` : endpoint, options: { method: 'GET' } }),
+      records: response => response.payload || [],
+      // La página siguiente es la anterior al mensaje más antiguo recibido
+      nextToken: (response, messages) => {
+        if (messages.length === 0) {
+          return null;
+        }
+        const oldest = messages.reduce((min, message) => (message.id < min.id ? message : min));
+        return since !== null && oldest.created_at < since ? null : oldest.id;
+      }
+    }).pipe(
+      reduce((acc, { records }) => acc.concat(records), []),
+      map(messages => messages
+        .filter(message => since === null || (message.created_at >= since && !publishedIds.has(message.id)))
+        .sort((a, b) => a.id - b.id)),
+      catchError(error => {
+        logger.error(`[${this.name}] Error obteniendo mensajes de la conversación ${conversation.id}: ${error.message}`);
+        return throwError(() => error);
+      })
     );
   }
 
   /**
-   * Filtra conversaciones nuevas desde la �ltima ejecuci�n
+   * Filtra las conversaciones con actividad desde el cursor, inclusive: el
+   * cursor tiene resolución de segundos y puede haber actividad posterior a la
+   * última ejecución en ese mismo segundo. extract() descarta luego las ya
+   * publicadas que no tienen mensajes nuevos.
    * @param {Array} conversations - Conversaciones a filtrar
+   * @param {number|null} since - Unix timestamp del cursor
    * @returns {Array}
    */
-  filterNewConversations(conversations) {
-    if (!this.lastExecutionTime) {
+  filterChangedConversations(conversations, since) {
+    if (since === null) {
       // Primera ejecuci�n: retornar todas las conversaciones
       return conversations;
     }
 
-    const lastExecDate = new Date(this.lastExecutionTime);
+    // Chatwoot usa unix timestamp, igual que el cursor
+    return conversations.filter(conversation => this.lastActivityOf(conversation) >= since);
+  }
 
-    return conversations.filter(conversation => {
-      const createdAt = new Date(conversation.created_at * 1000); // Chatwoot usa unix timestamp
-      return createdAt > lastExecDate;
-    });
+  /**
+   * Conversaciones y mensajes ya publicados en el segundo del cursor
+   * (cursores `lastActivityAt#conversations` y `lastActivityAt#messages`)
+   * @returns {{conversations: Set, messages: Set}}
+   */
+  getBoundary() {
+    return {
+      conversations: new Set(this.getCursor('lastActivityAt#conversations') || []),
+      messages: new Set(this.getCursor('lastActivityAt#messages') || [])
+    };
   }
 
   /**
-   * Transforma las conversaciones al formato est�ndar
-   * @param {Array} rawConversations - Conversaciones crudas de Chatwoot
-   * @returns {Array}
+   * Registra los ids publicados en el segundo del nuevo cursor (o después,
+   * para los mensajes), que la próxima ejecución vuelve a recibir
+   * @param {Array<{conversation: Object, messages: Array}>} items - Conversaciones a publicar
+   * @param {number} lastActivityAt - Nuevo cursor
+   * @param {Object|null} previous - getBoundary() si el cursor no avanzó
+   */
+  setBoundary(items, lastActivityAt, previous) {
+    const conversations = items
+      .filter(({ conversation }) => this.lastActivityOf(conversation) === lastActivityAt)
+      .map(({ conversation }) => conversation.id);
+    const messages = items
+      .flatMap(item => item.messages)
+      .filter(message => message.created_at >= lastActivityAt)
+      .map(message => message.id);
+
+    this.setCursor([...new Set([...(previous ? previous.conversations : []), ...conversations])], 'lastActivityAt#conversations');
+    this.setCursor([...new Set([...(previous ? previous.messages : []), ...messages])], 'lastActivityAt#messages');
+  }
+
+  /**
+   * Cursor de actividad. Si solo existe el cursor anterior basado en
+   * created_at se usa como punto de partida.
+   * @returns {number|null}
+   */
+  getActivityCursor() {
+    const lastActivityAt = this.getCursor('lastActivityAt');
+    return lastActivityAt !== null ? lastActivityAt : this.getCursor('lastCreatedAt');
+  }
+
+  /**
+   * Unix timestamp de la última actividad de una conversación
+   * @param {Object} conversation - Conversación de Chatwoot
+   * @returns {number}
+   */
+  lastActivityOf(conversation) {
+    return conversation.last_activity_at || conversation.timestamp || conversation.created_at;
+  }
+
+  /**
+   * Transforma las conversaciones y sus mensajes al formato est�ndar
+   * @param {Array<{conversation: Object, messages: Array}>} rawData - Resultado de extract()
+   * @returns {{conversations: Array, messages: Array}}
    */
-  transform(rawConversations) {
-    if (!Array.isArray(rawConversations)) {
+  transform(rawData) {
+    if (!Array.isArray(rawData)) {
       logger.warn(`[${this.name}] transform() esperaba un array`);
-      return [];
+      return { conversations: [], messages: [] };
     }
 
-    return rawConversations.map(conversation => {
+    const extractedAt = new Date().toISOString();
+
+    const conversations = rawData.map(({ conversation }) => {
       // Aplicar normalizaci�n si hay mapping configurado
       const baseData = this.config.mapping
         ? this.normalize(conversation)
@@ -135,12 +278,39 @@ class ChatwootStrategy extends BaseStrategy {
       return {
         ...baseData,
         _metadata: {
-          extracted_at: new Date().toISOString(),
+          extracted_at: extractedAt,
           source: this.name,
           original_id: conversation.id
         }
       };
     });
+
+    const messages = rawData.flatMap(({ conversation, messages: conversationMessages }) =>
+      conversationMessages.map(message => ({
+        ...(this.config.messageMapping
+          ? this.normalize(message, this.config.messageMapping)
+          : this.mapMessage(message, conversation)),
+        _metadata: {
+          extracted_at: extractedAt,
+          source: this.name,
+          original_id: message.id
+        }
+      }))
+    );
+
+    return { conversations, messages };
+  }
+
+  /**
+   * Publica conversaciones y mensajes en tópicos separados
+   * @param {{conversations: Array, messages: Array}} transformedData - Resultado de transform()
+   * @returns {Array<{topic: string, records: Array, type: string}>}
+   */
+  getPublishBatches(transformedData) {
+    return [
+      { topic: this.getTopic(), records: transformedData.conversations, type: `${this.type}.conversation_updated` },
+      { topic: this.getTopic('messages'), records: transformedData.messages, type: `${this.type}.message_created` }
+    ];
   }
 
   /**
@@ -158,6 +328,7 @@ class ChatwootStrategy extends BaseStrategy {
       updatedAt: conversation.timestamp
         ? new Date(conversation.timestamp * 1000).toISOString()
         : null,
+      lastActivityAt: new Date(this.lastActivityOf(conversation) * 1000).toISOString(),
       contact: {
         id: conversation.meta?.sender?.id,
         name: conversation.meta?.sender?.name,
@@ -174,19 +345,6 @@ class ChatwootStrategy extends BaseStrategy {
         id: conversation.meta.team.id,
         name: conversation.meta.team.name
       } : null,
-      messages: conversation.messages?.map(msg => ({
-        id: msg.id,
-        content: msg.content,
-        messageType: msg.message_type,
-        contentType: msg.content_type,
-        createdAt: new Date(msg.created_at * 1000).toISOString(),
-        private: msg.private,
-        sender: {
-          id: msg.sender?.id,
-          name: msg.sender?.name,
-          type: msg.sender?.type
-        }
-      })) || [],
       labels: conversation.labels || [],
       unreadCount: conversation.unread_count || 0,
       additionalAttributes: conversation.additional_attributes || {}
@@ -194,21 +352,203 @@ class ChatwootStrategy extends BaseStrategy {
   }
 
   /**
-   * Sobrescribe getAuthHeaders para usar el formato espec�fico de Chatwoot
+   * Mapeo por defecto de un mensaje
+   * @param {Object} message - Mensaje de Chatwoot
+   * @param {Object} conversation - Conversación a la que pertenece
    * @returns {Object}
    */
-  getAuthHeaders() {
-    const { auth } = this.config;
+  mapMessage(message, conversation) {
+    return {
+      messageId: message.id,
+      conversationId: conversation.id,
+      accountId: conversation.account_id,
+      inboxId: conversation.inbox_id,
+      content: message.content,
+      messageType: message.message_type,
+      contentType: message.content_type,
+      // El API devuelve unix timestamp y los webhooks una fecha ISO
+      createdAt: typeof message.created_at === 'number'
+        ? new Date(message.created_at * 1000).toISOString()
+        : new Date(message.created_at).toISOString(),
+      private: message.private,
+      sender: {
+        id: message.sender?.id,
+        name: message.sender?.name,
+        type: message.sender?.type || message.sender_type
+      },
+      attachments: (message.attachments || []).map(attachment => ({
+        id: attachment.id,
+        fileType: attachment.file_type,
+        url: attachment.data_url
+      }))
+    };
+  }
 
-    if (!auth || !auth.apiKey) {
-      logger.warn(`[${this.name}] No se encontr� apiKey en la configuraci�n`);
-      return {};
+  /**
+   * @returns {boolean}
+   */
+  acceptsWebhooks() {
+    return this.mode === 'webhook';
+  }
+
+  /**
+   * En modo webhook solo se programa el polling de reconciliación, si está configurado
+   * @returns {Object|null}
+   */
+  getScheduleConfig() {
+    if (this.mode !== 'webhook') {
+      return this.config;
+    }
+
+    const reconcileInterval = this.config.webhook.reconcileInterval;
+    return reconcileInterval
+      ? { ...this.config, interval: reconcileInterval, schedule: undefined }
+      : null;
+  }
+
+  /**
+   * Procesa un evento de webhook de Chatwoot: verifica la firma, lo convierte
+   * al formato de extract() y lo publica con el mismo transform()
+   * @param {Object} request - { headers, body } (body como Buffer sin parsear)
+   * @param {Object} kafkaPublisher - Publisher del scheduler
+   * @returns {Observable<Object>}
+   */
+  handleWebhook({ headers, body }, kafkaPublisher) {
+    this.verifyWebhookSignature(headers, body);
+
+    let event;
+    try {
+      event = JSON.parse(body.toString('utf-8'));
+    } catch (error) {
+      throw errorHandler.createHttpError(400, `Evento de webhook inválido: ${error.message}`);
+    }
+
+    this.webhookEventsReceived++;
+    this.lastWebhookAt = new Date();
+
+    const rawData = this.webhookEventToRawData(event);
+    if (!rawData) {
+      logger.debug(`[${this.name}] Evento de webhook '${event.event}' ignorado`);
+      return of({ ignored: true, event: event.event });
+    }
+
+    return this.ingest(rawData, kafkaPublisher).pipe(
+      tap(result => logger.info(`[${this.name}] Webhook '${event.event}': ${result.recordsProcessed} registros publicados`)),
+      map(result => ({ ...result, event: event.event }))
+    );
+  }
+
+  /**
+   * Verifica la firma HMAC-SHA256 del webhook
+   * Chatwoot firma `${X-Chatwoot-Timestamp}.${body}` y la envía en
+   * `X-Chatwoot-Signature` como `sha256=<hex>`.
+   * @param {Object} headers - Headers de la petición
+   * @param {Buffer} body - Cuerpo sin parsear
+   * @private
+   */
+  verifyWebhookSignature(headers, body) {
+    const { secret, toleranceSeconds = 300 } = this.config.webhook;
+    const timestamp = Number(headers['x-chatwoot-timestamp']);
+    const signature = String(headers['x-chatwoot-signature'] || '');
+
+    // La tolerancia evita que se reenvíe un evento capturado
+    if (!timestamp || Math.abs(Date.now() / 1000 - timestamp) > toleranceSeconds) {
+      throw errorHandler.createHttpError(401, 'Timestamp de webhook ausente o fuera de tolerancia');
     }
 
+    const expected = Buffer.from(`sha256=${crypto
+      .createHmac('sha256', secret)
+      .update(`${timestamp}.`)
+      .update(body)
+      .digest('hex')}`);
+    const actual = Buffer.from(signature);
+
+    if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+      throw errorHandler.createHttpError(401, 'Firma de webhook inválida');
+    }
+  }
+
+  /**
+   * Convierte un evento de webhook al formato que devuelve extract()
+   * @param {Object} event - Payload del webhook
+   * @returns {Array<{conversation: Object, messages: Array}>|null} - null si el evento no se publica
+   */
+  webhookEventToRawData(event) {
+    if (CONVERSATION_EVENTS.includes(event.event)) {
+      return [{ conversation: event, messages: [] }];
+    }
+
+    if (event.event === 'message_created' && event.conversation) {
+      const conversation = { account_id: event.account?.id, ...event.conversation };
+      return [{ conversation, messages: [event] }];
+    }
+
+    return null;
+  }
+
+  /**
+   * @returns {Object}
+   */
+  getStatus() {
     return {
-      'api_access_token': auth.apiKey
+      ...super.getStatus(),
+      mode: this.mode,
+      webhookEventsReceived: this.webhookEventsReceived,
+      lastWebhookAt: this.lastWebhookAt
     };
   }
+
+  /**
+   * Chatwoot usa el API key de `auth.apiKey` en el header `api_access_token`.
+   * Con `auth.type` se usa cualquiera de los tipos de AuthProvider.
+   * @returns {Object|null}
+   */
+  getAuthConfig() {
+    const { auth } = this.config;
+
+    if (auth && auth.type) {
+      return auth;
+    }
+    if (!auth || !auth.apiKey) {
+      logger.warn(`[${this.name}] No se encontró apiKey en la configuración`);
+      return null;
+    }
+
+    return { type: 'apikey', headerName: 'api_access_token', apiKey: auth.apiKey };
+  }
 }
 
+/**
+ * Schema de los campos propios (ver ConfigValidator)
+ */
+ChatwootStrategy.configSchema = {
+  type: 'object',
+  required: ['url', 'accountId'],
+  properties: {
+    mode: { enum: ['polling', 'webhook'] },
+    accountId: { type: ['integer', 'string'] },
+    status: { enum: ['open', 'resolved', 'pending', 'snoozed', 'all'] },
+    assigneeType: { enum: ['me', 'unassigned', 'all', 'assigned'] },
+    inboxId: { type: ['integer', 'null'] },
+    teamId: { type: ['integer', 'null'] },
+    labels: { type: 'array', items: { type: 'string' } },
+    messagesConcurrency: { type: 'integer', minimum: 1 },
+    maxMessagePages: { type: 'integer', minimum: 1 },
+    messageMapping: { type: 'object' },
+    webhook: {
+      type: 'object',
+      properties: {
+        secret: { type: ['string', 'null'] },
+        toleranceSeconds: { type: 'integer', minimum: 0 },
+        reconcileInterval: { type: ['integer', 'null'], minimum: 1000 }
+      }
+    }
+  },
+  if: { required: ['mode'], properties: { mode: { const: 'webhook' } } },
+  then: {
+    required: ['webhook'],
+    properties: { webhook: { required: ['secret'], properties: { secret: { type: 'string', minLength: 1 } } } }
+  }
+};
+
 module.exports = ChatwootStrategy;
@@ -0,0 +1,265 @@
+// strategies/googleStrategy.js
+const BaseStrategy = require('../core/baseStrategy');
+const logger = require('../core/logger');
+const { of, forkJoin, throwError, EMPTY } = require('rxjs');
+const { expand, map, reduce, tap, catchError } = require('rxjs/operators');
+
+const SHEETS_API = 'https://sheets.googleapis.com/v4/spreadsheets';
+const CALENDAR_API = 'https://www.googleapis.com/calendar/v3/calendars';
+const SCOPES = {
+  sheets: 'https://www.googleapis.com/auth/spreadsheets.readonly',
+  calendar: 'https://www.googleapis.com/auth/calendar.readonly'
+};
+
+/**
+ * Estrategia para extraer datos de Google Sheets y Google Calendar
+ * Se autentica con una cuenta de servicio (GoogleServiceAccountAuthProvider):
+ * firma localmente un JWT (RS256) y lo canjea por un access token que se
+ * renueva automáticamente.
+ *
+ * Configuración específica:
+ * - auth: { type: 'google_service_account', keyFile | credentials, subject? }
+ * - sheets: [{ spreadsheetId, range, topic?, mapping?, headerRow? }]
+ * - calendars: [{ calendarId, topic? }]
+ * - scopes: scopes OAuth (por defecto los de solo lectura necesarios)
+ */
+class GoogleStrategy extends BaseStrategy {
+  constructor(config) {
+    super(config);
+    this.sheets = config.sheets || [];
+    this.calendars = config.calendars || [];
+
+    if (this.sheets.length === 0 && this.calendars.length === 0) {
+      throw new Error('GoogleStrategy requiere al menos una entrada en "sheets" o "calendars"');
+    }
+  }
+
+  /**
+   * Extrae todas las hojas y calendarios configurados
+   * @returns {Observable<{sheets: Array, calendars: Array}>}
+   */
+  extract() {
+    const sheets$ = this.sheets.map(sheet => this.fetchSheet(sheet));
+    const calendars$ = this.calendars.map(calendar => this.fetchCalendarEvents(calendar));
+
+    return forkJoin({
+      sheets: sheets$.length > 0 ? forkJoin(sheets$) : of([]),
+      calendars: calendars$.length > 0 ? forkJoin(calendars$) : of([])
+    }).pipe(
+      tap(({ sheets, calendars }) => {
+        const rows = sheets.reduce((total, sheet) => total + sheet.rows.length, 0);
+        const events = calendars.reduce((total, calendar) => total + calendar.events.length, 0);
+        logger.info(`[${this.name}] Extraídas ${rows} filas y ${events} eventos`);
+      })
+    );
+  }
+
+  /**
+   * Lee un rango de una hoja de cálculo
+   * @param {Object} sheet - { spreadsheetId, range }
+   * @returns {Observable<{sheet: Object, rows: Array<Array>}>}
+   */
+  fetchSheet(sheet) {
+    const endpoint = `${SHEETS_API}/${encodeURIComponent(sheet.spreadsheetId)}/values/${encodeURIComponent(sheet.range)}`;
+
+    return this.makeRequest(endpoint, { method: 'GET' }).pipe(
+      map(response => ({ sheet, rows: response.values || [] })),
+      catchError(error => {
+        logger.error(`[${this.name}] Error leyendo ${sheet.spreadsheetId} (${sheet.range}): ${error.message}`);
+        return throwError(() => error);
+      })
+    );
+  }
+
+  /**
+   * Obtiene los eventos modificados desde la última ejecución, con paginación
+   * @param {Object} calendar - { calendarId }
+   * @returns {Observable<{calendar: Object, events: Array}>}
+   */
+  fetchCalendarEvents(calendar) {
+    const cursorName = `calendar:${calendar.calendarId}`;
+    const updatedMin = this.getCursor(cursorName);
+    const fetchPage = pageToken => {
+      const params = new URLSearchParams({ singleEvents: 'true', maxResults: '250', showDeleted: 'true' });
+      if (updatedMin) {
+        params.append('updatedMin', updatedMin);
+      }
+      if (pageToken) {
+        params.append('pageToken', pageToken);
+      }
+      return this.makeRequest(
+        `${CALENDAR_API}/${encodeURIComponent(calendar.calendarId)}/events?${params.toString()}`,
+        { method: 'GET' }
+      );
+    };
+
+    return fetchPage(null).pipe(
+      expand(response => (response.nextPageToken ? fetchPage(response.nextPageToken) : EMPTY)),
+      reduce((events, response) => events.concat(response.items || []), []),
+      tap(events => {
+        if (events.length > 0) {
+          const lastUpdated = events.map(event => event.updated).sort().pop();
+          this.setCursor(lastUpdated, cursorName);
+        }
+      }),
+      map(events => ({ calendar, events })),
+      catchError(error => {
+        logger.error(`[${this.name}] Error leyendo calendario ${calendar.calendarId}: ${error.message}`);
+        return throwError(() => error);
+      })
+    );
+  }
+
+  /**
+   * Convierte filas en objetos usando la fila de encabezados y aplica el mapping
+   * @param {{sheets: Array, calendars: Array}} rawData
+   * @returns {{sheets: Array, calendars: Array}}
+   */
+  transform(rawData) {
+    return {
+      sheets: rawData.sheets.map(({ sheet, rows }) => {
+        const objects = this.rowsToObjects(rows, sheet);
+        return { sheet, records: this.normalize(objects, sheet.mapping || this.config.mapping) };
+      }),
+      calendars: rawData.calendars.map(({ calendar, events }) => ({
+        calendar,
+        records: events.map(event => this.mapEvent(event, calendar))
+      }))
+    };
+  }
+
+  /**
+   * Convierte las filas de una hoja en objetos { encabezado: valor }
+   * @param {Array<Array>} rows - Valores devueltos por la API
+   * @param {Object} sheet - Configuración de la hoja
+   * @returns {Array<Object>}
+   */
+  rowsToObjects(rows, sheet) {
+    const headerIndex = sheet.headerRow !== undefined ? sheet.headerRow : 0;
+    const headers = (rows[headerIndex] || []).map(header => String(header).trim());
+
+    return rows.slice(headerIndex + 1)
+      .map((row, index) => ({ row, rowNumber: headerIndex + index + 2 }))
+      .filter(({ row }) => row.some(cell => cell !== '' && cell !== null && cell !== undefined))
+      .map(({ row, rowNumber }) => {
+        const record = {};
+        headers.forEach((header, column) => {
+          if (header) {
+            record[header] = row[column] !== undefined ? row[column] : null;
+          }
+        });
+        record._metadata = {
+          source: this.name,
+          spreadsheetId: sheet.spreadsheetId,
+          range: sheet.range,
+          row: rowNumber
+        };
+        return record;
+      });
+  }
+
+  /**
+   * Mapeo por defecto de un evento de Calendar
+   * @param {Object} event - Evento de la API
+   * @param {Object} calendar - Configuración del calendario
+   * @returns {Object}
+   */
+  mapEvent(event, calendar) {
+    return {
+      id: event.id,
+      calendarId: calendar.calendarId,
+      status: event.status,
+      summary: event.summary || null,
+      description: event.description || null,
+      location: event.location || null,
+      start: event.start?.dateTime || event.start?.date || null,
+      end: event.end?.dateTime || event.end?.date || null,
+      organizer: event.organizer?.email || null,
+      attendees: (event.attendees || []).map(attendee => ({
+        email: attendee.email,
+        responseStatus: attendee.responseStatus
+      })),
+      createdAt: event.created || null,
+      updatedAt: event.updated || null
+    };
+  }
+
+  /**
+   * Un lote por hoja y por calendario
+   * @param {{sheets: Array, calendars: Array}} transformedData
+   * @returns {Array<{topic: string, records: Array}>}
+   */
+  getPublishBatches(transformedData) {
+    return [
+      ...transformedData.sheets.map(({ sheet, records }) => ({
+        topic: sheet.topic || this.getTopic('sheets'),
+        records,
+        type: `${this.type}.sheets`
+      })),
+      ...transformedData.calendars.map(({ calendar, records }) => ({
+        topic: calendar.topic || this.getTopic('calendar'),
+        records,
+        type: `${this.type}.calendar`
+      }))
+    ];
+  }
+
+  /**
+   * Cuenta de servicio con los scopes necesarios para los recursos configurados
+   * @returns {Object}
+   */
+  getAuthConfig() {
+    const auth = this.config.auth || {};
+    return { ...auth, type: auth.type || 'google_service_account', scopes: this.getScopes() };
+  }
+
+  /**
+   * Scopes configurados o los mínimos necesarios según los recursos
+   * @returns {Array<string>}
+   */
+  getScopes() {
+    if (this.config.scopes) {
+      return this.config.scopes;
+    }
+
+    return [
+      ...(this.sheets.length > 0 ? [SCOPES.sheets] : []),
+      ...(this.calendars.length > 0 ? [SCOPES.calendar] : [])
+    ];
+  }
+}
+
+/**
+ * Schema de los campos propios (ver ConfigValidator)
+ */
+GoogleStrategy.configSchema = {
+  type: 'object',
+  required: ['auth'],
+  properties: {
+    sheets: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['spreadsheetId', 'range'],
+        properties: {
+          spreadsheetId: { type: 'string' },
+          range: { type: 'string' },
+          topic: { type: 'string' },
+          mapping: { type: 'object' },
+          headerRow: { type: 'integer', minimum: 0 }
+        }
+      }
+    },
+    calendars: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['calendarId'],
+        properties: { calendarId: { type: 'string' }, topic: { type: 'string' } }
+      }
+    },
+    scopes: { type: 'array', items: { type: 'string' } }
+  }
+};
+
+module.exports = GoogleStrategy;
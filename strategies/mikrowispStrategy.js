@@ -0,0 +1,286 @@
+// strategies/mikrowispStrategy.js
+const BaseStrategy = require('../core/baseStrategy');
+const logger = require('../core/logger');
+const { of, forkJoin, throwError } = require('rxjs');
+const { map, reduce, catchError } = require('rxjs/operators');
+
+const RESOURCES = ['customers', 'services', 'invoices'];
+
+/**
+ * Endpoints por defecto del API v1 de MikroWisp.
+ * Todos son POST y reciben el token en el cuerpo; la lista de registros
+ * viene en `responseKey`. Se pueden sobrescribir con `config.endpoints`.
+ */
+const DEFAULT_ENDPOINTS = {
+  customers: { path: '/api/v1/GetClientsDetails', responseKey: 'datos' },
+  invoices: { path: '/api/v1/GetInvoices', responseKey: 'facturas' }
+};
+
+/**
+ * Estrategia para extraer datos de facturación desde MikroWisp
+ * Extrae clientes, sus servicios/planes (incluidos en el detalle del cliente)
+ * y facturas, y publica cada recurso en su propio tópico.
+ *
+ * Configuración específica:
+ * - resources: recursos a publicar (por defecto customers, services, invoices)
+ * - pageSize: registros por página (por defecto 100)
+ * - maxPages: límite de páginas por recurso (por defecto 500)
+ * - endpoints: { [recurso]: { path, responseKey } }
+ * - topics: { [recurso]: tópico }
+ * - mappings: { [recurso]: schema } reemplaza el mapeo por defecto del recurso
+ * - invoiceStatus: filtro de estado de facturas enviado al API (opcional)
+ *
+ * Las facturas son incrementales: solo se publican las de id mayor al último
+ * confirmado (cursor 'invoices'). Clientes y servicios se publican completos.
+ * GetInvoices no admite filtrar por id ni por fecha de modificación, así que
+ * siempre se descargan todas. El cursor por id no detecta cambios de estado
+ * (por ejemplo, una factura pagada): con `changeDetection` habilitado no se
+ * usa y las facturas modificadas se vuelven a publicar.
+ */
+class MikrowispStrategy extends BaseStrategy {
+  constructor(config) {
+    super(config);
+    this.pageSize = config.pageSize || 100;
+    this.maxPages = config.maxPages || 500;
+    this.resources = config.resources || RESOURCES;
+
+    const unknown = this.resources.filter(resource => !RESOURCES.includes(resource));
+    if (unknown.length > 0) {
+      throw new Error(`Recursos de MikroWisp no soportados: ${unknown.join(', ')}`);
+    }
+  }
+
+  /**
+   * Extrae los recursos configurados
+   * @returns {Observable<{customers: Array, invoices: Array}>}
+   */
+  extract() {
+    // Los servicios vienen dentro del detalle de cada cliente
+    const needsCustomers = this.resources.includes('customers') || this.resources.includes('services');
+
+    return forkJoin({
+      customers: needsCustomers ? this.fetchAll('customers') : of([]),
+      invoices: this.resources.includes('invoices')
+        ? this.fetchAll('invoices', this.buildInvoiceFilters()).pipe(
+          map(invoices => this.filterNewInvoices(invoices))
+        )
+        : of([])
+    }).pipe(
+      map(result => {
+        logger.info(`[${this.name}] Extraídos ${result.customers.length} clientes y ${result.invoices.length} facturas nuevas`);
+        return result;
+      })
+    );
+  }
+
+  /**
+   * Recorre todas las páginas de un recurso (paginación offset/limit en el cuerpo)
+   * @param {string} resource - 'customers' o 'invoices'
+   * @param {Object} filters - Filtros adicionales para el cuerpo de la petición
+   * @returns {Observable<Array>}
+   */
+  fetchAll(resource, filters = {}) {
+    const endpoint = { ...DEFAULT_ENDPOINTS[resource], ...(this.config.endpoints || {})[resource] };
+
+    return this.paginate({
+      style: 'offset',
+      label: resource,
+      pageSize: this.pageSize,
+      maxPages: this.maxPages,
+      request: ({ offset, limit }) => ({
+        endpoint: endpoint.path,
+        options: {
+          method: 'POST',
+          data: { token: this.config.auth?.token, limit, offset, ...filters }
+        }
+      }),
+      records: response => {
+        // MikroWisp responde 200 con { estado: 'error', mensaje } ante errores de negocio
+        if (response?.estado === 'error') {
+          throw new Error(`MikroWisp ${endpoint.path}: ${response.mensaje || 'error desconocido'}`);
+        }
+        return response?.[endpoint.responseKey] || [];
+      }
+    }).pipe(
+      reduce((acc, { records }) => acc.concat(records), []),
+      catchError(error => {
+        logger.error(`[${this.name}] Error obteniendo ${resource}: ${error.message}`);
+        return throwError(() => error);
+      })
+    );
+  }
+
+  /**
+   * Filtros del API para facturas
+   * @returns {Object}
+   */
+  buildInvoiceFilters() {
+    return this.config.invoiceStatus !== undefined ? { estado: this.config.invoiceStatus } : {};
+  }
+
+  /**
+   * Descarta las facturas ya publicadas y registra el nuevo cursor
+   * Con `changeDetection` se devuelven todas y el detector descarta las que
+   * no cambiaron.
+   * @param {Array} invoices - Facturas crudas
+   * @returns {Array}
+   */
+  filterNewInvoices(invoices) {
+    if (this.config.changeDetection) {
+      return invoices;
+    }
+
+    const lastInvoiceId = this.getCursor('invoices');
+    const newInvoices = lastInvoiceId === null
+      ? invoices
+      : invoices.filter(invoice => Number(invoice.id) > lastInvoiceId);
+
+    if (newInvoices.length > 0) {
+      this.setCursor(Math.max(...newInvoices.map(invoice => Number(invoice.id))), 'invoices');
+    }
+
+    return newInvoices;
+  }
+
+  /**
+   * Transforma los recursos al formato estándar
+   * @param {{customers: Array, invoices: Array}} rawData
+   * @returns {{customers: Array, services: Array, invoices: Array}}
+   */
+  transform(rawData) {
+    const customers = rawData.customers || [];
+    const services = customers.flatMap(customer =>
+      (customer.servicios || []).map(service => ({ ...service, idcliente: customer.id }))
+    );
+
+    const raw = { customers, services, invoices: rawData.invoices || [] };
+    const defaults = {
+      customers: customer => this.mapCustomer(customer),
+      services: service => this.mapService(service),
+      invoices: invoice => this.mapInvoice(invoice)
+    };
+    const mappings = this.config.mappings || {};
+
+    return this.resources.reduce((result, resource) => {
+      result[resource] = mappings[resource]
+        ? this.normalize(raw[resource], mappings[resource])
+        : raw[resource].map(defaults[resource]);
+      return result;
+    }, {});
+  }
+
+  /**
+   * Publica cada recurso en su tópico
+   * @param {Object} transformedData - Resultado de transform()
+   * @returns {Array<{topic: string, records: Array}>}
+   */
+  getPublishBatches(transformedData) {
+    return this.resources.map(resource => ({
+      topic: this.getTopic(resource),
+      records: transformedData[resource],
+      type: `${this.type}.${resource}`
+    }));
+  }
+
+  /**
+   * Mapeo por defecto de un cliente
+   * @param {Object} customer - Cliente de GetClientsDetails
+   * @returns {Object}
+   */
+  mapCustomer(customer) {
+    return {
+      id: String(customer.id),
+      name: customer.nombre,
+      status: customer.estado,
+      documentNumber: customer.cedula || null,
+      email: customer.correo || null,
+      phone: customer.telefono || null,
+      mobile: customer.movil || null,
+      address: customer.direccion_principal || null,
+      serviceCount: (customer.servicios || []).length,
+      billing: customer.facturacion ? {
+        unpaidInvoices: Number(customer.facturacion.facturas_nopagadas || 0),
+        totalDue: Number(customer.facturacion.total_facturas || 0)
+      } : null
+    };
+  }
+
+  /**
+   * Mapeo por defecto de un servicio/plan de un cliente
+   * @param {Object} service - Elemento de `servicios` con `idcliente` agregado
+   * @returns {Object}
+   */
+  mapService(service) {
+    return {
+      id: String(service.id),
+      customerId: String(service.idcliente),
+      plan: service.perfil || null,
+      status: service.status_user || service.estado || null,
+      price: service.costo !== undefined ? Number(service.costo) : null,
+      ip: service.ip || null,
+      mac: service.mac || null,
+      node: service.nodo || null,
+      address: service.direccion || null,
+      installedAt: service.instalado || null
+    };
+  }
+
+  /**
+   * Mapeo por defecto de una factura
+   * @param {Object} invoice - Factura de GetInvoices
+   * @returns {Object}
+   */
+  mapInvoice(invoice) {
+    return {
+      id: String(invoice.id),
+      customerId: String(invoice.idcliente),
+      number: invoice.legal || String(invoice.id),
+      status: invoice.estado,
+      issuedAt: invoice.emitido || null,
+      dueAt: invoice.vencimiento || null,
+      paidAt: invoice.pago || null,
+      subtotal: invoice.subtotal !== undefined ? Number(invoice.subtotal) : null,
+      tax: invoice.impuesto !== undefined ? Number(invoice.impuesto) : null,
+      total: Number(invoice.total || 0),
+      paymentMethod: invoice.forma || null
+    };
+  }
+
+  /**
+   * MikroWisp recibe el token en el cuerpo de cada petición, no en headers
+   * @returns {null}
+   */
+  getAuthConfig() {
+    return null;
+  }
+}
+
+/**
+ * Recurso que publica en `kafkaTopic` si no tiene tópico en `topics`
+ */
+MikrowispStrategy.primaryResource = 'customers';
+
+/**
+ * Schema de los campos propios (ver ConfigValidator)
+ */
+MikrowispStrategy.configSchema = {
+  type: 'object',
+  required: ['url', 'auth'],
+  properties: {
+    auth: { type: 'object', required: ['token'], properties: { token: { type: 'string', minLength: 1 } } },
+    resources: { type: 'array', items: { enum: RESOURCES } },
+    pageSize: { type: 'integer', minimum: 1 },
+    endpoints: {
+      type: 'object',
+      propertyNames: { enum: Object.keys(DEFAULT_ENDPOINTS) },
+      additionalProperties: {
+        type: 'object',
+        properties: { path: { type: 'string' }, responseKey: { type: 'string' } }
+      }
+    },
+    mappings: { type: 'object', propertyNames: { enum: RESOURCES } },
+    invoiceStatus: { type: ['integer', 'string'] }
+  }
+};
+
+module.exports = MikrowispStrategy;
@@ -0,0 +1,363 @@
+// strategies/restStrategy.js
+const BaseStrategy = require('../core/baseStrategy');
+const logger = require('../core/logger');
+const dataFormatter = require('../utils/dataFormatter');
+const crypto = require('crypto');
+const { from, throwError } = require('rxjs');
+const { map, reduce, concatMap, toArray, tap, catchError } = require('rxjs/operators');
+
+// Valores de cursor que se comparan como números aunque lleguen como texto
+const NUMERIC_CURSOR = /^[-+]?\d+(\.\d+)?$/;
+
+// Máximo de identidades guardadas en el cursor `<endpoint>#boundary`
+const MAX_BOUNDARY_IDS = 1000;
+
+/**
+ * Estrategia REST genérica, configurada solo desde sources.json
+ * Cada elemento de `endpoints` se extrae por separado y se publica en su tópico.
+ *
+ * @example
+ * {
+ *   "name": "crm", "type": "rest", "url": "https://api.example.com",
+ *   "auth": { "type": "bearer", "token": "..." },
+ *   "endpoints": [{
+ *     "name": "contacts",
+ *     "path": "/v1/contacts",
+ *     "method": "GET",
+ *     "params": { "status": "active", "updated_since": "{{cursor}}" },
+ *     "recordsPath": "data.items",
+ *     "pagination": { "type": "page", "pageParam": "page", "limitParam": "per_page", "pageSize": 100 },
+ *     "incremental": { "field": "updated_at", "initial": "2024-01-01T00:00:00Z", "key": "id" },
+ *     "mapping": { "id": "id", "email": "attributes.email" }
+ *   }]
+ * }
+ *
+ * En `params` y `body` se reemplazan los placeholders {{cursor}} (cursor
+ * incremental), {{next}} (token de la página siguiente), {{page}}, {{offset}}
+ * y {{limit}}. Los parámetros que quedan vacíos no se envían.
+ */
+class RestStrategy extends BaseStrategy {
+  constructor(config) {
+    super(config);
+    this.endpoints = config.endpoints || [];
+    this.validateEndpoints();
+  }
+
+  /**
+   * Valida la configuración de los endpoints
+   * @private
+   */
+  validateEndpoints() {
+    if (!Array.isArray(this.endpoints) || this.endpoints.length === 0) {
+      throw new Error('La estrategia rest requiere al menos un elemento en "endpoints"');
+    }
+
+    const names = new Set();
+    this.endpoints.forEach((endpoint, index) => {
+      if (!endpoint.name || !endpoint.path) {
+        throw new Error(`endpoints[${index}] requiere "name" y "path"`);
+      }
+      if (names.has(endpoint.name)) {
+        throw new Error(`Endpoint duplicado: ${endpoint.name}`);
+      }
+      names.add(endpoint.name);
+
+      const type = endpoint.pagination?.type || 'none';
+      if (!BaseStrategy.PAGINATION_STYLES.includes(type)) {
+        throw new Error(`Paginación no soportada en '${endpoint.name}': ${type}. Disponibles: ${BaseStrategy.PAGINATION_STYLES.join(', ')}`);
+      }
+    });
+  }
+
+  /**
+   * Extrae todos los endpoints, de a uno por vez
+   * @returns {Observable<Object>} - { [endpoint]: Array }
+   */
+  extract() {
+    return from(this.endpoints).pipe(
+      concatMap(endpoint => this.fetchEndpoint(endpoint).pipe(
+        map(records => this.filterIncremental(endpoint, records)),
+        map(records => [endpoint.name, records])
+      )),
+      toArray(),
+      map(entries => Object.fromEntries(entries)),
+      tap(result => {
+        const summary = this.endpoints.map(endpoint => `${result[endpoint.name].length} ${endpoint.name}`).join(', ');
+        logger.info(`[${this.name}] Extraídos ${summary}`);
+      })
+    );
+  }
+
+  /**
+   * Recorre las páginas de un endpoint
+   * @param {Object} endpoint - Configuración del endpoint
+   * @returns {Observable<Array>}
+   */
+  fetchEndpoint(endpoint) {
+    const pagination = { type: 'none', ...endpoint.pagination };
+    const pageSize = ['page', 'offset'].includes(pagination.type) ? pagination.pageSize || 100 : pagination.pageSize;
+    const cursor = this.getCursor(endpoint.name) ?? endpoint.incremental?.initial ?? null;
+
+    return this.paginate({
+      style: pagination.type,
+      label: endpoint.name,
+      pageSize,
+      startPage: pagination.startPage,
+      nextPath: pagination.nextPath,
+      maxPages: pagination.maxPages,
+      request: ctx => this.buildRequest(endpoint, pagination, { ...ctx, cursor }),
+      records: response => this.extractRecords(endpoint, response)
+    }).pipe(
+      reduce((acc, { records }) => acc.concat(records), []),
+      catchError(error => {
+        logger.error(`[${this.name}] Error obteniendo ${endpoint.name}: ${error.message}`);
+        return throwError(() => error);
+      })
+    );
+  }
+
+  /**
+   * Arma la petición de una página
+   * @param {Object} endpoint - Configuración del endpoint
+   * @param {Object} pagination - Configuración de paginación
+   * @param {Object} context - Valores de los placeholders (cursor, next, page, offset, limit)
+   * @returns {{endpoint: string, options: Object}}
+   * @private
+   */
+  buildRequest(endpoint, pagination, context) {
+    const params = this.renderTemplate(endpoint.params || {}, context);
+
+    switch (pagination.type) {
+      case 'page':
+        params[pagination.pageParam || 'page'] = context.page;
+        params[pagination.limitParam || 'limit'] = context.limit;
+        break;
+      case 'offset':
+        params[pagination.offsetParam || 'offset'] = context.offset;
+        params[pagination.limitParam || 'limit'] = context.limit;
+        break;
+      case 'cursor':
+        if (context.next !== null) {
+          params[pagination.param || 'cursor'] = context.next;
+        }
+        break;
+      default:
+        break;
+    }
+
+    const query = new URLSearchParams(
+      Object.entries(params).filter(([, value]) => value !== null && value !== undefined && value !== '')
+    ).toString();
+
+    return {
+      endpoint: `${endpoint.path}${query ? `?${query}` : ''}`,
+      options: {
+        method: (endpoint.method || 'GET').toUpperCase(),
+        headers: endpoint.headers,
+        data: endpoint.body ? this.renderTemplate(endpoint.body, context) : undefined
+      }
+    };
+  }
+
+  /**
+   * Obtiene los registros de una respuesta según `recordsPath`
+   * @param {Object} endpoint - Configuración del endpoint
+   * @param {Object} response - Cuerpo de la respuesta
+   * @returns {Array}
+   * @private
+   */
+  extractRecords(endpoint, response) {
+    const records = dataFormatter.getNestedValue(response, endpoint.recordsPath);
+    if (Array.isArray(records)) {
+      return records;
+    }
+    return records ? [records] : [];
+  }
+
+  /**
+   * Descarta los registros ya procesados según `incremental.field` y
+   * registra el nuevo cursor del endpoint
+   *
+   * Los registros con el mismo valor que el cursor se conservan (varios
+   * registros pueden compartir un timestamp); para no repetirlos, el cursor
+   * `<endpoint>#boundary` guarda la identidad de los ya publicados con ese valor
+   * (las últimas MAX_BOUNDARY_IDS). Sin cursor guardado se filtra desde
+   * `incremental.initial`, si está configurado.
+   * @param {Object} endpoint - Configuración del endpoint
+   * @param {Array} records - Registros crudos
+   * @returns {Array}
+   */
+  filterIncremental(endpoint, records) {
+    const field = endpoint.incremental?.field;
+    if (!field) {
+      return records;
+    }
+
+    const boundaryName = `${endpoint.name}#boundary`;
+    const lastValue = this.getCursor(endpoint.name) ?? endpoint.incremental.initial ?? null;
+    const seen = new Set(this.getCursor(boundaryName) || []);
+    const valueOf = record => dataFormatter.getNestedValue(record, field);
+    const identityOf = record => this.recordIdentity(endpoint, record);
+    const isNew = record => {
+      const comparison = this.compareCursor(valueOf(record), lastValue);
+      return comparison > 0 || (comparison === 0 && !seen.has(identityOf(record)));
+    };
+    const newRecords = lastValue === null ? records : records.filter(isNew);
+
+    const values = newRecords.map(valueOf).filter(value => value !== null && value !== undefined);
+    if (values.length > 0) {
+      const maxValue = values.reduce((max, value) => (this.compareCursor(value, max) > 0 ? value : max));
+      const boundary = newRecords
+        .filter(record => this.compareCursor(valueOf(record), maxValue) === 0)
+        .map(identityOf);
+      const sameValue = lastValue !== null && this.compareCursor(maxValue, lastValue) === 0;
+
+      this.setCursor(maxValue, endpoint.name);
+      this.setCursor((sameValue ? [...seen, ...boundary] : boundary).slice(-MAX_BOUNDARY_IDS), boundaryName);
+    }
+
+    return newRecords;
+  }
+
+  /**
+   * Identidad de un registro para deduplicar los que comparten el valor del
+   * cursor: el campo `incremental.key` (por defecto `id`) o un hash del registro
+   * @private
+   */
+  recordIdentity(endpoint, record) {
+    const key = dataFormatter.getNestedValue(record, endpoint.incremental.key || 'id');
+    if (key !== null && key !== undefined && key !== '') {
+      return String(key);
+    }
+    return crypto.createHash('sha1').update(JSON.stringify(record)).digest('hex');
+  }
+
+  /**
+   * Compara valores de cursor: numéricos (aunque lleguen como texto), fechas
+   * (Date.parse) o, si no, texto por orden de código
+   * Un valor ausente se considera menor que cualquier otro.
+   * @returns {number}
+   * @private
+   */
+  compareCursor(a, b) {
+    const missing = value => value === null || value === undefined || value === '';
+    if (missing(a) || missing(b)) {
+      return (missing(a) ? 0 : 1) - (missing(b) ? 0 : 1);
+    }
+
+    const asNumber = value => (typeof value === 'number' || NUMERIC_CURSOR.test(String(value).trim()) ? Number(value) : NaN);
+    if (Number.isFinite(asNumber(a)) && Number.isFinite(asNumber(b))) {
+      return asNumber(a) - asNumber(b);
+    }
+
+    const dates = [a, b].map(value => Date.parse(value));
+    if (dates.every(Number.isFinite)) {
+      return dates[0] - dates[1];
+    }
+
+    const [x, y] = [String(a), String(b)];
+    return x < y ? -1 : (x > y ? 1 : 0);
+  }
+
+  /**
+   * Reemplaza los placeholders {{nombre}} en un objeto de configuración
+   * Si el valor completo es un placeholder se conserva el tipo del reemplazo.
+   * @param {*} template - Objeto, array o string
+   * @param {Object} context - Valores disponibles
+   * @returns {*}
+   * @private
+   */
+  renderTemplate(template, context) {
+    if (typeof template === 'string') {
+      const whole = /^\{\{(\w+)\}\}$/.exec(template);
+      if (whole) {
+        return context[whole[1]] ?? null;
+      }
+      return template.replace(/\{\{(\w+)\}\}/g, (_, key) => (context[key] ?? ''));
+    }
+    if (Array.isArray(template)) {
+      return template.map(item => this.renderTemplate(item, context));
+    }
+    if (template && typeof template === 'object') {
+      return Object.fromEntries(
+        Object.entries(template).map(([key, value]) => [key, this.renderTemplate(value, context)])
+      );
+    }
+    return template;
+  }
+
+  /**
+   * Aplica el mapping de cada endpoint (o el de la fuente)
+   * @param {Object} rawData - { [endpoint]: Array }
+   * @returns {Object} - { [endpoint]: Array }
+   */
+  transform(rawData) {
+    return this.endpoints.reduce((result, endpoint) => {
+      result[endpoint.name] = this.normalize(rawData[endpoint.name] || [], endpoint.mapping || this.config.mapping);
+      return result;
+    }, {});
+  }
+
+  /**
+   * Publica cada endpoint en su tópico (`endpoint.topic`, `topics[nombre]` o
+   * `connector.rest.<fuente>.<endpoint>`)
+   * @param {Object} transformedData - Resultado de transform()
+   * @returns {Array<{topic: string, records: Array, type: string}>}
+   */
+  getPublishBatches(transformedData) {
+    return this.endpoints.map(endpoint => ({
+      topic: endpoint.topic || this.getTopic(endpoint.name),
+      records: transformedData[endpoint.name],
+      type: `${this.type}.${endpoint.name}`
+    }));
+  }
+}
+
+/**
+ * Schema de los campos propios (ver ConfigValidator)
+ */
+RestStrategy.configSchema = {
+  type: 'object',
+  required: ['url', 'endpoints'],
+  properties: {
+    endpoints: {
+      type: 'array',
+      minItems: 1,
+      items: {
+        type: 'object',
+        required: ['name', 'path'],
+        properties: {
+          name: { type: 'string', minLength: 1 },
+          path: { type: 'string' },
+          method: { enum: ['GET', 'POST', 'PUT', 'PATCH', 'get', 'post', 'put', 'patch'] },
+          params: { type: 'object' },
+          headers: { type: 'object', additionalProperties: { type: 'string' } },
+          recordsPath: { type: 'string' },
+          topic: { type: 'string' },
+          mapping: { type: 'object' },
+          pagination: {
+            type: 'object',
+            properties: {
+              type: { enum: BaseStrategy.PAGINATION_STYLES },
+              pageSize: { type: 'integer', minimum: 1 },
+              startPage: { type: 'integer', minimum: 0 },
+              maxPages: { type: 'integer', minimum: 1 },
+              pageParam: { type: 'string' },
+              offsetParam: { type: 'string' },
+              limitParam: { type: 'string' },
+              nextPath: { type: 'string' },
+              param: { type: 'string' }
+            }
+          },
+          incremental: {
+            type: 'object',
+            required: ['field'],
+            properties: { field: { type: 'string' }, key: { type: 'string' } }
+          }
+        }
+      }
+    }
+  }
+};
+
+module.exports = RestStrategy;
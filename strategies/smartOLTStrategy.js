@@ -1,58 +1,306 @@
 // strategies/smartOLTStrategy.js
 const BaseStrategy = require('../core/baseStrategy');
 const logger = require('../core/logger');
-const { of } = require('rxjs');
-const { map, delay, switchMap } = require('rxjs/operators');
+const dataFormatter = require('../utils/dataFormatter');
+const { of, from, throwError } = require('rxjs');
+const { map, delay, switchMap, reduce, mergeMap, concatMap, toArray, tap, catchError } = require('rxjs/operators');
+
+const RESOURCES = ['olts', 'onus', 'unconfiguredOnus', 'signals', 'speedProfiles'];
+
+/**
+ * Endpoints por defecto del API de SmartOLT.
+ * - path: ruta; si contiene `{id}` se invoca una vez por ONU con su id externo
+ * - responsePath: ruta (dot notation) de los registros en la respuesta; sin
+ *   valor se usa la respuesta completa
+ * - pagination: { type: 'page' | 'offset', pageParam, limitParam, pageSize } (opcional)
+ * Se pueden sobrescribir con `config.endpoints`. `onuDetails` no es un recurso:
+ * se usa para enriquecer cada ONU cuando `onuDetails: true`.
+ */
+const DEFAULT_ENDPOINTS = {
+  olts: { path: '/api/system/get_olts', responsePath: 'response' },
+  onus: { path: '/api/onu/get_all_onus_details', responsePath: 'onus' },
+  onuDetails: { path: '/api/onu/get_onu_details/{id}', responsePath: 'onu_details' },
+  unconfiguredOnus: { path: '/api/onu/unconfigured_onus', responsePath: 'response' },
+  signals: { path: '/api/onu/get_onu_signal/{id}', responsePath: null },
+  speedProfiles: { path: '/api/system/get_speed_profiles', responsePath: 'response' }
+};
 
 /**
- * Estrategia para extraer datos de dispositivos (ONUs) desde SmartOLT.
- * Realiza una petición para obtener el listado completo de dispositivos.
+ * Estrategia para extraer datos de SmartOLT: OLTs, ONUs, ONUs sin configurar,
+ * señal óptica por ONU y perfiles de velocidad. Cada recurso se publica en su
+ * propio tópico.
+ *
+ * Configuración específica:
+ * - resources: recursos a publicar (por defecto todos)
+ * - endpoints: { [recurso]: { path, responsePath, pagination } }
+ * - pagination: paginación por defecto de los endpoints de listado (por defecto sin paginar)
+ * - maxPages: límite de páginas por recurso (por defecto 100)
+ * - concurrency: llamadas por ONU en paralelo (por defecto 4)
+ * - onuDetails: si se pide el detalle de cada ONU además del listado (por defecto false)
+ * - onuIdField: campo con el id externo de la ONU (por defecto unique_external_id)
+ * - topics: { [recurso]: tópico }
+ * - mappings: { [recurso]: schema } reemplaza el mapeo por defecto del recurso
  */
 class SmartOLTStrategy extends BaseStrategy {
   constructor(config) {
     super(config);
+    this.resources = config.resources || RESOURCES;
+    this.concurrency = config.concurrency || 4;
+    this.maxPages = config.maxPages || 100;
+    this.onuIdField = config.onuIdField || 'unique_external_id';
+
+    const unknown = this.resources.filter(resource => !RESOURCES.includes(resource));
+    if (unknown.length > 0) {
+      throw new Error(`Recursos de SmartOLT no soportados: ${unknown.join(', ')}`);
+    }
   }
 
   /**
-   * Extrae la lista de ONUs desde la API de SmartOLT.
-   * @returns {Observable<Array>}
+   * Extrae los recursos configurados
+   * @returns {Observable<Object>} - { [recurso]: Array }
    */
   extract() {
-    // Introducimos un retardo configurable para ser respetuosos con la API.
+    // Retardo inicial configurable; para respetar la cuota del API es preferible `rateLimit`
     const executionDelay = this.config.executionDelay || 0;
-    
+
+    // El listado de ONUs se pide una sola vez y lo comparten los recursos por ONU
+    const needsOnuList = this.resources.some(resource => resource === 'onus' || this.isPerOnu(resource));
+
     return of(undefined).pipe(
       delay(executionDelay),
-      switchMap(() => {
-        // Asumimos un endpoint estándar para obtener las ONUs.
-        // Este endpoint podría necesitar ajuste según la API real de SmartOLT.
-        const endpoint = '/api/onus';
-        logger.info(`[${this.name}] Extrayendo ONUs desde ${this.config.url}${endpoint}`);
-        
-        // makeRequest ya maneja la autenticación 'basic' y los reintentos (incluyendo 429).
-        return this.makeRequest(endpoint, { method: 'GET' });
+      switchMap(() => (needsOnuList ? this.fetchList('onus') : of([]))),
+      // Los recursos se piden de a uno para que `concurrency` acote el total de llamadas en paralelo
+      switchMap(onus => from(this.resources).pipe(
+        concatMap(resource => this.fetchResource(resource, onus).pipe(
+          map(records => [resource, records])
+        )),
+        toArray(),
+        map(entries => Object.fromEntries(entries))
+      )),
+      tap(result => {
+        const summary = this.resources.map(resource => `${result[resource].length} ${resource}`).join(', ');
+        logger.info(`[${this.name}] Extraídos ${summary}`);
+      })
+    );
+  }
+
+  /**
+   * Obtiene los registros de un recurso
+   * @param {string} resource - Recurso
+   * @param {Array} onus - Listado de ONUs
+   * @returns {Observable<Array>}
+   */
+  fetchResource(resource, onus) {
+    if (resource === 'onus') {
+      if (!this.config.onuDetails) {
+        return of(onus);
+      }
+      return this.fetchPerOnu('onuDetails', onus).pipe(
+        map(details => {
+          const byId = new Map(details.map(detail => [detail[this.onuIdField], detail]));
+          return onus.map(onu => ({ ...onu, ...byId.get(this.onuIdOf(onu)) }));
+        })
+      );
+    }
+
+    return this.isPerOnu(resource) ? this.fetchPerOnu(resource, onus) : this.fetchList(resource);
+  }
+
+  /**
+   * Recorre las páginas de un endpoint de listado
+   * @param {string} resource - Recurso
+   * @returns {Observable<Array>}
+   */
+  fetchList(resource) {
+    const endpoint = this.getEndpoint(resource);
+    const pagination = endpoint.pagination || this.config.pagination;
+
+    if (!pagination) {
+      return this.request(resource, endpoint.path).pipe(
+        map(body => this.extractRecords(body, endpoint))
+      );
+    }
+
+    const offsetStyle = pagination.type === 'offset';
+    return this.paginate({
+      style: offsetStyle ? 'offset' : 'page',
+      label: resource,
+      pageSize: pagination.pageSize || 100,
+      maxPages: this.maxPages,
+      request: ({ page, offset, limit }) => {
+        const params = new URLSearchParams({
+          [pagination.pageParam || (offsetStyle ? 'offset' : 'page')]: String(offsetStyle ? offset : page),
+          [pagination.limitParam || 'limit']: String(limit)
+        });
+        return { endpoint: `${endpoint.path}?${params.toString()}`, options: { method: 'GET' } };
+      },
+      records: body => {
+        if (body?.status === false) {
+          throw new Error(`SmartOLT ${endpoint.path}: ${body.error || 'error desconocido'}`);
+        }
+        return this.extractRecords(body, endpoint);
+      }
+    }).pipe(
+      reduce((acc, { records }) => acc.concat(records), []),
+      catchError(error => {
+        logger.error(`[${this.name}] Error obteniendo ${resource}: ${error.message}`);
+        return throwError(() => error);
+      })
+    );
+  }
+
+  /**
+   * Invoca un endpoint por cada ONU con concurrencia acotada
+   * Las ONUs para las que SmartOLT responde `status: false` (por ejemplo,
+   * desconectadas) se omiten; los errores HTTP interrumpen la extracción.
+   * @param {string} resource - Recurso (o 'onuDetails')
+   * @param {Array} onus - Listado de ONUs
+   * @returns {Observable<Array>}
+   */
+  fetchPerOnu(resource, onus) {
+    const endpoint = this.getEndpoint(resource);
+    let skipped = 0;
+
+    return from(onus.filter(onu => this.onuIdOf(onu))).pipe(
+      mergeMap(onu => {
+        const id = this.onuIdOf(onu);
+        return this.request(resource, endpoint.path.replace('{id}', encodeURIComponent(id)), { skipRejected: true }).pipe(
+          map(body => {
+            if (!body) {
+              skipped++;
+              return null;
+            }
+            return { [this.onuIdField]: id, ...this.extractRecords(body, endpoint, false) };
+          })
+        );
+      }, this.concurrency),
+      toArray(),
+      map(records => records.filter(Boolean)),
+      tap(() => {
+        if (skipped > 0) {
+          logger.warn(`[${this.name}] ${skipped} ONUs sin datos de ${resource}`);
+        }
+      })
+    );
+  }
+
+  /**
+   * Realiza una petición al API de SmartOLT
+   * SmartOLT responde 200 con `{ status: false, error }` ante errores de negocio.
+   * @param {string} resource - Recurso (para los logs)
+   * @param {string} endpoint - Ruta con query string
+   * @param {Object} options
+   * @param {boolean} options.skipRejected - Emitir null en lugar de error ante `status: false`
+   * @returns {Observable<Object|null>}
+   * @private
+   */
+  request(resource, endpoint, options = {}) {
+    return this.makeRequest(endpoint, { method: 'GET' }).pipe(
+      switchMap(body => {
+        if (body?.status !== false) {
+          return of(body);
+        }
+        if (options.skipRejected) {
+          logger.debug(`[${this.name}] SmartOLT ${endpoint}: ${body.error || 'sin datos'}`);
+          return of(null);
+        }
+        return throwError(() => new Error(`SmartOLT ${endpoint}: ${body.error || 'error desconocido'}`));
       }),
-      // Asumimos que la respuesta de la API es un objeto con una propiedad 'onus' que es un array.
-      map(response => response.onus || [])
+      catchError(error => {
+        logger.error(`[${this.name}] Error obteniendo ${resource}: ${error.message}`);
+        return throwError(() => error);
+      })
     );
   }
 
   /**
-   * Transforma los datos crudos de las ONUs al formato estándar.
-   * @param {Array} rawOnus - Array de ONUs crudas desde la API.
-   * @returns {Array}
+   * Obtiene los registros de una respuesta según `responsePath`
+   * @param {Object} body - Respuesta del API
+   * @param {Object} endpoint - Configuración del endpoint
+   * @param {boolean} asArray - Si el resultado debe ser un array
+   * @returns {Array|Object}
+   * @private
    */
-  transform(rawOnus) {
-    if (!Array.isArray(rawOnus)) {
-      logger.warn(`[${this.name}] transform() esperaba un array de ONUs.`);
-      return [];
+  extractRecords(body, endpoint, asArray = true) {
+    if (!asArray) {
+      if (endpoint.responsePath) {
+        return dataFormatter.getNestedValue(body, endpoint.responsePath) || {};
+      }
+      // Respuesta completa sin el indicador `status` del API
+      const { status, ...data } = body;
+      return data;
     }
 
-    const transformed = rawOnus.map(onu => this.defaultMapping(onu));
-    logger.info(`[${this.name}] Transformados ${transformed.length} dispositivos.`);
+    const records = dataFormatter.getNestedValue(body, endpoint.responsePath);
+    return Array.isArray(records) ? records : [];
+  }
+
+  /**
+   * Configuración efectiva de un endpoint
+   * @param {string} resource - Recurso
+   * @returns {Object}
+   */
+  getEndpoint(resource) {
+    return { ...DEFAULT_ENDPOINTS[resource], ...(this.config.endpoints || {})[resource] };
+  }
+
+  /**
+   * Indica si el endpoint de un recurso se invoca una vez por ONU
+   * @param {string} resource - Recurso
+   * @returns {boolean}
+   */
+  isPerOnu(resource) {
+    return this.getEndpoint(resource).path.includes('{id}');
+  }
+
+  /**
+   * @param {Object} onu - ONU del listado
+   * @returns {string}
+   */
+  onuIdOf(onu) {
+    return onu[this.onuIdField];
+  }
+
+  /**
+   * Transforma los recursos al formato estándar
+   * @param {Object} rawData - { [recurso]: Array }
+   * @returns {Object} - { [recurso]: Array }
+   */
+  transform(rawData) {
+    const defaults = {
+      olts: olt => this.mapOlt(olt),
+      onus: onu => this.defaultMapping(onu),
+      unconfiguredOnus: onu => this.mapUnconfiguredOnu(onu),
+      signals: signal => this.mapSignal(signal),
+      speedProfiles: profile => this.mapSpeedProfile(profile)
+    };
+    const mappings = this.config.mappings || {};
+
+    const transformed = this.resources.reduce((result, resource) => {
+      const records = rawData[resource] || [];
+      result[resource] = mappings[resource]
+        ? this.normalize(records, mappings[resource])
+        : records.map(defaults[resource]);
+      return result;
+    }, {});
+
+    logger.info(`[${this.name}] Transformados ${(transformed.onus || []).length} dispositivos.`);
     return transformed;
   }
 
+  /**
+   * Publica cada recurso en su tópico
+   * @param {Object} transformedData - Resultado de transform()
+   * @returns {Array<{topic: string, records: Array, type: string}>}
+   */
+  getPublishBatches(transformedData) {
+    return this.resources.map(resource => ({
+      topic: this.getTopic(resource),
+      records: transformedData[resource],
+      type: `${this.type}.${resource}`
+    }));
+  }
+
   /**
    * Mapeo por defecto para un dispositivo ONU de SmartOLT.
    * @param {Object} onu - El objeto de ONU crudo.
@@ -60,18 +308,157 @@ class SmartOLTStrategy extends BaseStrategy {
    */
   defaultMapping(onu) {
     return {
-      deviceId: onu.id,
+      id: this.onuIdOf(onu) || onu.id,
+      deviceId: this.onuIdOf(onu) || onu.id,
+      oltId: onu.olt_id || null,
       board: onu.board,
       port: onu.port,
-      onuType: onu.onu_type,
+      onuType: onu.onu_type_name || onu.onu_type,
       serialNumber: onu.sn,
-      status: onu.status, // ej: 'online', 'offline'
-      zone: onu.zone,
+      status: onu.status, // ej: 'Online', 'Offline'
+      administrativeStatus: onu.administrative_status || null,
+      zone: onu.zone_name || onu.zone,
       name: onu.name,
+      mode: onu.mode || null,
+      ipAddress: onu.ip_address || null,
       signal: onu.signal,
-      // ... cualquier otro campo relevante que quieras incluir
+      signal1310: onu.signal_1310 || null,
+      signal1490: onu.signal_1490 || null
+    };
+  }
+
+  /**
+   * Mapeo por defecto de una OLT
+   * @param {Object} olt - OLT de get_olts
+   * @returns {Object}
+   */
+  mapOlt(olt) {
+    return {
+      id: String(olt.id),
+      name: olt.name,
+      hardwareVersion: olt.olt_hardware_version || null,
+      ip: olt.ip || null,
+      telnetPort: olt.telnet_port || null,
+      snmpPort: olt.snmp_port || null
+    };
+  }
+
+  /**
+   * Mapeo por defecto de una ONU sin configurar
+   * @param {Object} onu - ONU de unconfigured_onus
+   * @returns {Object}
+   */
+  mapUnconfiguredOnu(onu) {
+    return {
+      id: onu.sn,
+      serialNumber: onu.sn,
+      oltId: onu.olt_id || null,
+      board: onu.board,
+      port: onu.port,
+      onuType: onu.onu_type_name || onu.onu_type || null,
+      ponType: onu.pon_type || null
+    };
+  }
+
+  /**
+   * Mapeo por defecto de la señal óptica de una ONU
+   * @param {Object} signal - Respuesta de get_onu_signal con el id de la ONU
+   * @returns {Object}
+   */
+  mapSignal(signal) {
+    return {
+      id: signal[this.onuIdField],
+      deviceId: signal[this.onuIdField],
+      quality: signal.onu_signal || null,
+      rxPower: signal.onu_signal_value || null,
+      signal1310: signal.onu_signal_1310 || null,
+      signal1490: signal.onu_signal_1490 || null,
+      measuredAt: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Mapeo por defecto de un perfil de velocidad
+   * @param {Object} profile - Perfil de get_speed_profiles
+   * @returns {Object}
+   */
+  mapSpeedProfile(profile) {
+    return {
+      id: String(profile.id),
+      name: profile.name,
+      speed: profile.speed || null,
+      direction: profile.direction || null,
+      type: profile.type || null
     };
   }
+
+  /**
+   * `measuredAt` es la hora de la lectura y cambia en cada ejecución: sin
+   * excluirlo, la detección de cambios vería todas las señales como modificadas
+   * @returns {Array<string>}
+   */
+  getChangeIgnoreFields() {
+    return ['measuredAt'];
+  }
+
+  /**
+   * SmartOLT se autentica con el API key en el header `X-Token` (`auth.token`).
+   * Los demás tipos de autenticación se resuelven como en BaseStrategy.
+   * @returns {Object|null}
+   */
+  getAuthConfig() {
+    const { auth } = this.config;
+
+    if (auth && !auth.type && auth.token) {
+      return { type: 'apikey', headerName: 'X-Token', apiKey: auth.token };
+    }
+
+    return super.getAuthConfig();
+  }
 }
 
-module.exports = SmartOLTStrategy;
\ No newline at end of file
+const PAGINATION_SCHEMA = {
+  type: 'object',
+  properties: {
+    type: { enum: ['page', 'offset'] },
+    pageParam: { type: 'string' },
+    limitParam: { type: 'string' },
+    pageSize: { type: 'integer', minimum: 1 }
+  }
+};
+
+/**
+ * Recurso que publica en `kafkaTopic` si no tiene tópico en `topics`
+ */
+SmartOLTStrategy.primaryResource = 'onus';
+
+/**
+ * Schema de los campos propios (ver ConfigValidator)
+ */
+SmartOLTStrategy.configSchema = {
+  type: 'object',
+  required: ['url'],
+  properties: {
+    resources: { type: 'array', items: { enum: RESOURCES } },
+    endpoints: {
+      type: 'object',
+      propertyNames: { enum: Object.keys(DEFAULT_ENDPOINTS) },
+      additionalProperties: {
+        type: 'object',
+        properties: {
+          path: { type: 'string' },
+          responsePath: { type: ['string', 'null'] },
+          pagination: PAGINATION_SCHEMA
+        }
+      }
+    },
+    pagination: PAGINATION_SCHEMA,
+    concurrency: { type: 'integer', minimum: 1 },
+    executionDelay: { type: 'integer', minimum: 0 },
+    onuDetails: { type: 'boolean' },
+    onuIdField: { type: 'string' },
+    mappings: { type: 'object', propertyNames: { enum: RESOURCES } }
+  }
+};
+
+module.exports = SmartOLTStrategy;
@@ -1,5 +1,6 @@
 // utils/errorHandler.js
 const logger = require('../core/logger');
+const secretResolver = require('./secretResolver');
 
 class ErrorHandler {
   constructor() {
@@ -59,6 +60,10 @@ class ErrorHandler {
    * @returns {Object} - Objeto con informacin del error
    */
   handle(error, context = 'General', extra = {}) {
+    // El mensaje puede incluir secretos de la configuracin (por ejemplo, en una URL)
+    error.message = secretResolver.redact(error.message);
+    error.stack = secretResolver.redact(error.stack);
+
     const errorInfo = {
       context,
       message: error.message,
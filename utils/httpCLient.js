@@ -1,34 +1,63 @@
 // utils/httpClient.js
 const axios = require('axios');
 const { defer, from, throwError, timer } = require('rxjs');
-const { map, retry, catchError, tap } = require('rxjs/operators');
+const { map, retry, catchError, tap, concatMap } = require('rxjs/operators');
 const logger = require('../core/logger');
 const errorHandler = require('./errorHandler');
+const RateLimiter = require('./rateLimiter');
+const metrics = require('../core/metrics');
 
 class HttpClient {
   constructor() {
     this.defaultTimeout = parseInt(process.env.HTTP_TIMEOUT || '30000', 10);
     this.maxRetries = parseInt(process.env.HTTP_MAX_RETRIES || '3', 10);
     this.retryDelay = parseInt(process.env.HTTP_RETRY_DELAY || '1000', 10);
+    // Un Retry-After mayor (ms) no se espera: la petición falla
+    this.maxRetryAfter = parseInt(process.env.HTTP_MAX_RETRY_AFTER || '300000', 10);
+    this.rateLimiters = new Map();
   }
 
   /**
    * Realiza una petici�n HTTP con reintentos autom�ticos
    * @param {Object} config - Configuraci�n de axios
+   * @param {string} config.source - Fuente que origina la petición (etiqueta de métricas)
+   * @param {boolean} config.fullResponse - Emitir { data, headers, status } en lugar de solo el cuerpo
+   * @param {Object} config.rateLimit - Límite de peticiones de la fuente (ver RateLimiter)
    * @returns {Observable<Object>}
    */
   request(config) {
-    // `defer` asegura que la llamada a axios se haga solo al momento de la suscripción
-    return defer(() => {
+    // `source`, `fullResponse` y `rateLimit` son opciones propias, no se envían a axios
+    const { source, fullResponse, rateLimit, ...axiosConfig } = config;
+    const labels = { source, method: axiosConfig.method, url: axiosConfig.url };
+    const limiter = this.getRateLimiter(source, axiosConfig.url, rateLimit);
+
+    // Cada intento espera su turno en el limitador; `defer` asegura que la
+    // llamada a axios se haga solo al momento de la suscripción
+    return limiter.acquire().pipe(concatMap(() => defer(() => {
       const finalConfig = {
         timeout: this.defaultTimeout,
-        ...config
+        ...axiosConfig
       };
+      const startTime = Date.now();
       logger.debug(`HTTP ${finalConfig.method?.toUpperCase() || 'GET'} ${finalConfig.url}`);
       // `from` convierte la promesa de axios en un Observable
-      return from(axios(finalConfig));
-    }).pipe(
-      map(response => response.data), // Extraemos solo los datos de la respuesta
+      return from(axios(finalConfig)).pipe(
+        tap({
+          next: response => {
+            metrics.observeHttpRequest(labels, response.status, Date.now() - startTime);
+            limiter.update(response.headers, response.status);
+          },
+          error: error => {
+            metrics.observeHttpRequest(labels, error.response?.status || 'error', Date.now() - startTime);
+            error.retryAfter = error.response ? limiter.update(error.response.headers, error.response.status) : null;
+          }
+        })
+      );
+    }))).pipe(
+      // Extraemos solo los datos de la respuesta, salvo que se pidan también los headers
+      map(response => (fullResponse
+        ? { data: response.data, headers: response.headers, status: response.status }
+        : response.data)),
       retry({
         count: this.maxRetries,
         delay: (error, retryCount) => {
@@ -37,9 +66,16 @@ class HttpClient {
             // Si no debemos reintentar, lanzamos el error para que lo capture `catchError`
             return throwError(() => error);
           }
-          const delay = this.calculateBackoff(retryCount - 1);
+          const retryAfter = error.retryAfter ?? null;
+          if (retryAfter > this.maxRetryAfter) {
+            logger.warn(`Retry-After de ${retryAfter}ms supera el máximo de ${this.maxRetryAfter}ms, no se reintenta: ${config.url}`);
+            return throwError(() => error);
+          }
+          const delay = retryAfter ?? this.calculateBackoff(retryCount - 1);
           logger.warn(`Reintentando petición (${retryCount}/${this.maxRetries}) en ${delay}ms: ${config.url}`);
-          return timer(delay);
+          metrics.recordHttpRetry(labels);
+          // Con Retry-After el limitador ya retiene el reintento hasta el momento indicado
+          return timer(retryAfter === null ? delay : 0);
         }
       }),
       catchError(error => {
@@ -55,6 +91,53 @@ class HttpClient {
     );
   }
 
+  /**
+   * Limitador de peticiones de una fuente, o de un host si `scope` es 'host'
+   * (compartido por todas las fuentes con ese scope) o si la petición no
+   * indica fuente. Se crea al primer uso y se reconfigura si cambia `options`.
+   * @param {string} source - Fuente que origina la petición
+   * @param {string} url - URL de la petición
+   * @param {Object} options - Sección "rateLimit" de la fuente
+   * @returns {RateLimiter}
+   */
+  getRateLimiter(source, url, options) {
+    const key = this.rateLimitKey(source, url, options);
+    const limiter = this.rateLimiters.get(key);
+
+    if (!limiter) {
+      this.rateLimiters.set(key, new RateLimiter(key, options));
+    } else if (options && JSON.stringify(options) !== JSON.stringify(limiter.options)) {
+      limiter.configure(options);
+    }
+    return this.rateLimiters.get(key);
+  }
+
+  /**
+   * Estado del limitador de una fuente (null si aún no hizo peticiones)
+   * @param {string} source - Nombre de la fuente
+   * @param {string} url - URL base de la fuente
+   * @param {Object} options - Sección "rateLimit" de la fuente
+   * @returns {Object|null}
+   */
+  getRateLimitStatus(source, url, options) {
+    const limiter = this.rateLimiters.get(this.rateLimitKey(source, url, options));
+    return limiter ? limiter.getStatus() : null;
+  }
+
+  /**
+   * @private
+   */
+  rateLimitKey(source, url, options) {
+    if (source && options?.scope !== 'host') {
+      return source;
+    }
+    try {
+      return `host:${new URL(url).host}`;
+    } catch (error) {
+      return 'host:unknown';
+    }
+  }
+
   /**
    * Determina si se debe reintentar la petici�n
    * @param {Error} error - Error de la petici�n
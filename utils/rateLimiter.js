@@ -0,0 +1,214 @@
+// utils/rateLimiter.js
+const { of, timer, defer } = require('rxjs');
+const { map } = require('rxjs/operators');
+
+// Timestamps mayores se interpretan como epoch (segundos o milisegundos)
+const EPOCH_SECONDS = 1e9;
+const EPOCH_MILLIS = 1e12;
+
+/**
+ * Token bucket para acotar las peticiones de una fuente o de un host
+ * Se acumula un token cada 1/rate y se admiten ráfagas de hasta `burst`
+ * peticiones. Cada petición reserva un token y espera lo necesario para
+ * respetar el ritmo, en el orden en que se pidieron.
+ *
+ * Además de la tasa configurada, el servidor puede frenar las peticiones:
+ * `Retry-After` (429/503) y `X-RateLimit-Remaining: 0` con `X-RateLimit-Reset`
+ * bloquean el bucket hasta el momento indicado. Sin tasa configurada el
+ * limitador solo aplica esos bloqueos.
+ */
+class RateLimiter {
+  /**
+   * @param {string} key - Fuente o host al que aplica (para logs y estado)
+   * @param {Object} options - Sección "rateLimit" de la fuente
+   * @param {number} options.requestsPerSecond - Peticiones por segundo
+   * @param {number} options.requestsPerMinute - Peticiones por minuto (alternativa a requestsPerSecond)
+   * @param {number} options.burst - Peticiones admitidas en ráfaga (por defecto 1)
+   */
+  constructor(key, options = {}) {
+    this.key = key;
+    this.tokens = null;
+    this.updatedAt = Date.now();
+    this.blockedUntil = null;
+    this.remaining = null;
+    this.limit = null;
+    this.throttledRequests = 0;
+    this.throttledMs = 0;
+    this.lastThrottledAt = null;
+    this.configure(options);
+  }
+
+  /**
+   * Aplica una nueva configuración conservando el estado del bucket
+   * @param {Object} options - Ver constructor
+   */
+  configure(options = {}) {
+    const perSecond = options.requestsPerSecond || (options.requestsPerMinute ? options.requestsPerMinute / 60 : null);
+
+    this.options = options;
+    this.ratePerMs = perSecond ? perSecond / 1000 : null;
+    this.burst = perSecond ? options.burst || 1 : Infinity;
+    this.tokens = this.ratePerMs ? Math.min(this.tokens ?? this.burst, this.burst) : Infinity;
+  }
+
+  /**
+   * Espera el turno de una petición
+   * @returns {Observable<void>} - Emite cuando la petición puede enviarse
+   */
+  acquire() {
+    return defer(() => {
+      const wait = this.reserve();
+      if (wait <= 0) {
+        return of(undefined);
+      }
+
+      this.throttledRequests++;
+      this.throttledMs += wait;
+      this.lastThrottledAt = new Date();
+      return timer(wait).pipe(map(() => undefined));
+    });
+  }
+
+  /**
+   * Reserva un token y calcula la espera en ms
+   * @returns {number}
+   * @private
+   */
+  reserve() {
+    const now = Date.now();
+    this.refill(now);
+
+    // Bloqueado por el servidor: el bucket vuelve a llenarse desde blockedUntil
+    const start = Math.max(now, this.updatedAt);
+    this.tokens -= 1;
+
+    if (this.tokens >= 0 || !this.ratePerMs) {
+      return start - now;
+    }
+    return Math.ceil(start - now + -this.tokens / this.ratePerMs);
+  }
+
+  /**
+   * @private
+   */
+  refill(now) {
+    if (!this.ratePerMs) {
+      this.tokens = Infinity;
+      if (now > this.updatedAt) {
+        this.updatedAt = now;
+      }
+      return;
+    }
+    if (now > this.updatedAt) {
+      this.tokens = Math.min(this.burst, this.tokens + (now - this.updatedAt) * this.ratePerMs);
+      this.updatedAt = now;
+    }
+  }
+
+  /**
+   * Suspende las peticiones hasta un momento dado
+   * @param {number} until - Timestamp en ms
+   */
+  block(until) {
+    if (until <= Math.max(Date.now(), this.updatedAt)) {
+      return;
+    }
+    this.blockedUntil = new Date(until);
+    this.updatedAt = until;
+    this.tokens = this.ratePerMs ? Math.min(this.tokens, 1) : Infinity;
+  }
+
+  /**
+   * Actualiza el estado con los headers de una respuesta
+   * @param {Object} headers - Headers de la respuesta (en minúsculas)
+   * @param {number} status - Código de respuesta
+   * @returns {number|null} - Espera en ms indicada por Retry-After, si la hay
+   */
+  update(headers = {}, status) {
+    const remaining = this.parseNumber(headers['x-ratelimit-remaining']);
+    const limit = this.parseNumber(headers['x-ratelimit-limit']);
+
+    if (remaining !== null) {
+      this.remaining = remaining;
+    }
+    if (limit !== null) {
+      this.limit = limit;
+    }
+
+    const reset = this.parseReset(headers['x-ratelimit-reset']);
+    if (remaining === 0 && reset !== null) {
+      this.block(reset);
+    }
+
+    const retryAfter = status === 429 || status === 503 ? RateLimiter.parseRetryAfter(headers['retry-after']) : null;
+    if (retryAfter !== null) {
+      this.block(Date.now() + retryAfter);
+    }
+    return retryAfter;
+  }
+
+  /**
+   * `X-RateLimit-Reset` como segundos restantes o como epoch
+   * @returns {number|null} - Timestamp en ms
+   * @private
+   */
+  parseReset(value) {
+    const number = this.parseNumber(value);
+    if (number === null) {
+      return null;
+    }
+    if (number >= EPOCH_MILLIS) {
+      return number;
+    }
+    return number >= EPOCH_SECONDS ? number * 1000 : Date.now() + number * 1000;
+  }
+
+  /**
+   * @private
+   */
+  parseNumber(value) {
+    if (value === undefined || value === null || value === '') {
+      return null;
+    }
+    const number = Number(value);
+    return Number.isFinite(number) ? number : null;
+  }
+
+  /**
+   * Estado del limitador para el estado de la fuente
+   * @returns {Object}
+   */
+  getStatus() {
+    const blocked = this.blockedUntil && this.blockedUntil.getTime() > Date.now();
+
+    return {
+      key: this.key,
+      requestsPerSecond: this.ratePerMs ? this.ratePerMs * 1000 : null,
+      burst: Number.isFinite(this.burst) ? this.burst : null,
+      throttledRequests: this.throttledRequests,
+      throttledMs: this.throttledMs,
+      lastThrottledAt: this.lastThrottledAt,
+      blockedUntil: blocked ? this.blockedUntil : null,
+      remaining: this.remaining,
+      limit: this.limit
+    };
+  }
+}
+
+/**
+ * `Retry-After` en segundos o como fecha HTTP
+ * @param {string} value - Valor del header
+ * @returns {number|null} - Espera en ms
+ */
+RateLimiter.parseRetryAfter = value => {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+  if (/^\d+(\.\d+)?$/.test(String(value).trim())) {
+    return Math.ceil(Number(value) * 1000);
+  }
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(date - Date.now(), 0);
+};
+
+module.exports = RateLimiter;
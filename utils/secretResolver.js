@@ -0,0 +1,154 @@
+// utils/secretResolver.js
+const fs = require('fs');
+const path = require('path');
+
+// ${proveedor:referencia}, por ejemplo ${env:CHATWOOT_TOKEN} o ${file:/run/secrets/smartolt_pw}
+const REFERENCE_PATTERN = /\$\{(\w+):([^}]+)\}/g;
+// Los valores más cortos solo se ocultan como palabra completa, para no enmascarar texto común
+const MIN_REDACT_LENGTH = 4;
+const REDACTED = '***';
+// Credenciales en headers Authorization, aunque no se hayan registrado
+const AUTHORIZATION_PATTERN = /\b(Bearer|Basic)\s+[\w\-.~+/]+=*/g;
+
+/**
+ * Resuelve referencias a secretos en la configuración y los oculta en la salida
+ * Proveedores:
+ * - env: variable de entorno
+ * - file: contenido de un archivo (sin el salto de línea final), con rutas
+ *   relativas a la raíz del proyecto
+ *
+ * Cada valor resuelto se registra para que redact() lo reemplace por `***`
+ * en logs, estado y reportes de error. Los proveedores de autenticación
+ * registran también las credenciales derivadas (headers Basic, access tokens).
+ */
+class SecretResolver {
+  constructor() {
+    this.rootDir = path.join(__dirname, '..');
+    this.secrets = new Set();
+    this.shortSecrets = new Map();
+    this.providers = {
+      env: name => process.env[name],
+      file: filePath => {
+        const fullPath = path.resolve(this.rootDir, filePath);
+        return fs.existsSync(fullPath) ? fs.readFileSync(fullPath, 'utf-8').replace(/\r?\n$/, '') : undefined;
+      }
+    };
+  }
+
+  /**
+   * Devuelve una copia de la configuración con las referencias resueltas
+   * @param {*} config - Objeto, array o valor de la configuración
+   * @param {string} origin - Nombre del archivo (para los mensajes de error)
+   * @param {Object} options
+   * @param {Function} options.optional - (ubicación) => boolean; las referencias opcionales
+   *   que no se pueden resolver quedan tal cual en lugar de provocar un error
+   * @returns {*}
+   * @throws {Error} Con todas las referencias que no se pudieron resolver
+   */
+  resolve(config, origin = 'configuración', options = {}) {
+    const optional = options.optional || (() => false);
+    const unresolved = [];
+    const resolved = this.resolveValue(config, '', unresolved);
+    const missing = unresolved.filter(({ location }) => !optional(location));
+
+    if (missing.length > 0) {
+      throw new Error(`Referencias a secretos sin resolver en ${origin}: ${missing.map(({ message }) => message).join('; ')}`);
+    }
+    return resolved;
+  }
+
+  /**
+   * Referencias a secretos que quedan sin resolver en un valor
+   * @param {*} value - Objeto, array o valor de la configuración
+   * @returns {Array<string>} - Por ejemplo ['${env:CHATWOOT_TOKEN}']
+   */
+  findReferences(value) {
+    return JSON.stringify(value).match(REFERENCE_PATTERN) || [];
+  }
+
+  /**
+   * @private
+   */
+  resolveValue(value, location, unresolved) {
+    if (typeof value === 'string') {
+      return this.resolveString(value, location, unresolved);
+    }
+    if (Array.isArray(value)) {
+      return value.map((item, index) => this.resolveValue(item, `${location}[${index}]`, unresolved));
+    }
+    if (value && typeof value === 'object') {
+      return Object.fromEntries(Object.entries(value).map(([key, item]) => [
+        key,
+        this.resolveValue(item, location ? `${location}.${key}` : key, unresolved)
+      ]));
+    }
+    return value;
+  }
+
+  /**
+   * @private
+   */
+  resolveString(value, location, unresolved) {
+    return value.replace(REFERENCE_PATTERN, (reference, provider, name) => {
+      const lookup = this.providers[provider];
+      if (!lookup) {
+        unresolved.push({
+          location,
+          message: `${location}: ${reference} (proveedor desconocido, disponibles: ${Object.keys(this.providers).join(', ')})`
+        });
+        return reference;
+      }
+
+      const secret = lookup(name.trim());
+      if (secret === undefined || secret === '') {
+        unresolved.push({
+          location,
+          message: `${location}: ${reference} (${provider === 'env' ? 'variable no definida' : 'archivo inexistente'})`
+        });
+        return reference;
+      }
+
+      this.register(secret);
+      return secret;
+    });
+  }
+
+  /**
+   * Registra un valor que no debe mostrarse (por ejemplo, una credencial
+   * derivada de un secreto o un token obtenido en tiempo de ejecución)
+   * @param {string} secret
+   */
+  register(secret) {
+    if (typeof secret !== 'string' || secret === '') {
+      return;
+    }
+    if (secret.length >= MIN_REDACT_LENGTH) {
+      this.secrets.add(secret);
+    } else if (!this.shortSecrets.has(secret)) {
+      const escaped = secret.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      this.shortSecrets.set(secret, new RegExp(`(?<!\\w)${escaped}(?!\\w)`, 'g'));
+    }
+  }
+
+  /**
+   * Oculta los secretos registrados y las credenciales de headers Authorization en un texto
+   * @param {string} text - Texto a mostrar
+   * @returns {string}
+   */
+  redact(text) {
+    if (typeof text !== 'string') {
+      return text;
+    }
+
+    let result = text.replace(AUTHORIZATION_PATTERN, `$1 ${REDACTED}`);
+    this.secrets.forEach(secret => {
+      result = result.split(secret).join(REDACTED);
+    });
+    this.shortSecrets.forEach(pattern => {
+      result = result.replace(pattern, REDACTED);
+    });
+    return result;
+  }
+}
+
+module.exports = new SecretResolver();